@@ -21,9 +21,40 @@ const clearTableBtn = document.getElementById('clearTableBtn');
 const analyzeBtn = document.getElementById('analyzeBtn');
 const dataTableBody = document.getElementById('dataTableBody');
 const analysisSection = document.getElementById('analysisSection');
+const forceCanvas = document.getElementById('forceCanvas');
+const forceCtx = forceCanvas.getContext('2d');
 
 const kSlider = document.getElementById('kSlider');
 
+// Threshold finder elements
+const thresholdToleranceInput = document.getElementById('thresholdTolerance');
+const thresholdRecordToggle = document.getElementById('thresholdRecord');
+const findThresholdBtn = document.getElementById('findThresholdBtn');
+const thresholdResult = document.getElementById('thresholdResult');
+
+// Apparatus configuration elements, by URL parameter name
+const apparatusInputs = {
+    l: document.getElementById('configRopeLength'),
+    M: document.getElementById('configCylinderMass'),
+    m: document.getElementById('configSmallMass'),
+    x1: document.getElementById('configSpringLength'),
+    xMax: document.getElementById('configXMax'),
+    hMin: document.getElementById('configHMin'),
+    hMax: document.getElementById('configHMax')
+};
+const applyConfigBtn = document.getElementById('applyConfigBtn');
+const actualLengthDisplay = document.getElementById('actualLength');
+const apparatusSection = document.getElementById('apparatusSection');
+const thresholdSection = document.getElementById('thresholdSection');
+
+// Assessment elements
+const assessmentSeedInput = document.getElementById('assessmentSeed');
+const assessmentRandomKToggle = document.getElementById('assessmentRandomK');
+const assessmentBtn = document.getElementById('assessmentBtn');
+const assessmentAnswerInput = document.getElementById('assessmentAnswer');
+const submitAnswerBtn = document.getElementById('submitAnswerBtn');
+const assessmentResult = document.getElementById('assessmentResult');
+
 // Display elements
 const x1Value = document.getElementById('x1Value');
 const x2Value = document.getElementById('x2Value');
@@ -33,13 +64,18 @@ const hValue = document.getElementById('hValue');
 
 // Physical constants
 const g = 980; // cm/s²
-const actualRopeLength = 75; // cm (the real rope length)
-const springConstant = 8; // Softer spring constant
-const cylinderMass = 3.5; // g (cylinder mass M - should be lighter than m)
-const smallMass = 4.25; // g (small mass m)
+
+// Apparatus, set from the configuration panel or the page URL
+let actualRopeLength = 75; // cm (the real rope length)
+let cylinderMass = 3.5; // g (cylinder mass M - should be lighter than m)
+let smallMass = 4.25; // g (small mass m)
+
+// Damping (the spring constant k comes from kSlider)
+const cylinderDamping = 50; // g/s, dashpot coefficient on the cylinder (friction in its guide)
+const airDrag = 0.2; // g/s, linear air drag coefficient on the bob
 
 // Spring properties
-const naturalSpringLength = 30; // cm (x1 - natural length)
+let naturalSpringLength = 30; // cm (x1 - natural length)
 const springCoils = 12;
 const groundY = 550; // Y position of ground in pixels
 
@@ -66,13 +102,37 @@ let releaseHeight = 20; // h value in cm
 let cylinderDisplacement = 0;
 let maxCylinderDisplacement = 0;
 let cylinderVelocity = 0;
-let lastCylinderAccel = 0;
+let releaseAtThreshold = false; // the cylinder lifts in this release, but would not with one x slider step more
+
+// Off its stop the cylinder moves about as far as x is short of the critical extension, whatever k is,
+// so a release near the threshold lifts it a fraction of a cm: draw its displacement scaled up
+// until the largest one reaches minVisibleLift pixels, but never by more than maxLiftGain
+const minVisibleLift = 6; // px
+const maxLiftGain = 20;
+
+// Force strip chart: forces on the cylinder during a release, in dyn
+let releaseTime = 0; // s since the mass was released
+let forceHistory = []; // { t, tension, spring, weight, net }, one sample per frame
+let maxTension = null; // { t, tension } largest rope tension so far in the release
+const chartWindow = 4; // s of history shown on the strip chart
 
 // Data storage
 let recordedData = [];
 
+// Assessment: rope length (and optionally k) drawn from a seed and kept hidden
+// { seed, ropeLength, springConstant, displayLength, hMax, attempts } while an assessment runs
+let assessment = null;
+const assessmentRopeRange = { min: 60, max: 120 }; // cm
+const assessmentKRange = { min: 1500, max: 6000 }; // dyn/cm
+
+// Fixed physics time step (s)
+const timeStep = 0.002;
+const maxBisections = 60; // halvings of the x range the threshold finder makes at most
+let stepCredit = 0; // physics steps owed to the animation, carried between frames
+
 // Scale for drawing
-const scale = 3; // pixels per cm
+const maxScale = 3; // pixels per cm
+let scale = maxScale; // shrinks so a long apparatus still fits above the ground
 const anchorY = 50; // Y position of anchor point in pixels
 
 // Spring constant is now user-adjustable.
@@ -90,6 +150,7 @@ function init() {
     currentSpringLength = naturalSpringLength;
     updateDisplay();
     draw();
+    drawForceChart();
 }
 
 // Event Listeners
@@ -215,6 +276,21 @@ function drawAnchor(x, y) {
     ctx.stroke();
 }
 
+// In an assessment the rope is drawn at the apparatus length rather than the hidden one,
+// so neither its length in pixels nor its swing angle gives the true l away (and getStepsPerFrame() hides its period)
+function getDisplayRopeLength() {
+    return assessment ? assessment.displayLength : actualRopeLength;
+}
+
+// Angle to draw the pendulum at: the real angle, rescaled in an assessment
+// so that the release from h looks right for the drawn rope
+function getDisplayAngle(angle) {
+    if (!assessment || releaseAngle === 0) return angle;
+
+    const cosTheta = Math.max(-1, Math.min(1, 1 - releaseHeight / assessment.displayLength));
+    return angle * Math.acos(cosTheta) / releaseAngle;
+}
+
 // Draw reference lines and measurements
 function drawMeasurements() {
     const centerX = canvas.width / 2;
@@ -227,7 +303,7 @@ function drawMeasurements() {
     ctx.textAlign = 'right';
 
     const rulerX = 60;
-    for (let cm = 0; cm <= 150; cm += 10) {
+    for (let cm = 0; cm <= (canvas.height - anchorY) / scale; cm += 10) {
         const y = anchorY + cm * scale;
         if (y < canvas.height - 20) {
             ctx.beginPath();
@@ -316,15 +392,11 @@ function draw() {
     // Draw anchor
     drawAnchor(centerX, anchorY);
 
-    // VISUAL EXAGGERATION: Apply a scaling factor to the cylinder's displacement
-    // to make small movements more visible to the user.
+    // VISUAL EXAGGERATION: small lifts are scaled up to stay visible (see minVisibleLift)
     let visualCylinderDisplacement = cylinderDisplacement;
-    if (isAnimating) {
-        if (maxCylinderDisplacement < 0.5) {
-            visualCylinderDisplacement *= 3; // Exaggerate the most for the target condition
-        } else if (maxCylinderDisplacement < 2) {
-            visualCylinderDisplacement *= 1.5; // Exaggerate slightly for the 'slight' movement
-        }
+    if (isAnimating && maxCylinderDisplacement > 0) {
+        const liftGain = Math.min(maxLiftGain, minVisibleLift / (maxCylinderDisplacement * scale));
+        visualCylinderDisplacement *= Math.max(1, liftGain);
     }
     
     // Calculate positions based on current phase
@@ -353,12 +425,12 @@ function draw() {
         drawCylinder(centerX, springEndY, cylinderWidth, cylinderHeight);
 
         // Draw rope and pendulum mass
-        const ropeLength = actualRopeLength * scale;
+        const ropeLength = getDisplayRopeLength() * scale;
         const ropeStartX = centerX;
         const ropeStartY = cylinderBottomY;
 
-        const massX = ropeStartX + Math.sin(pendulumAngle) * ropeLength;
-        const massY = ropeStartY + Math.cos(pendulumAngle) * ropeLength;
+        const massX = ropeStartX + Math.sin(getDisplayAngle(pendulumAngle)) * ropeLength;
+        const massY = ropeStartY + Math.cos(getDisplayAngle(pendulumAngle)) * ropeLength;
 
         // Draw rope
         drawRope(ropeStartX, ropeStartY, massX, massY);
@@ -379,8 +451,8 @@ function draw() {
 
         // Draw release height indicator during setup
         if (systemSetup && releaseAngle !== 0) {
-            const releaseX = ropeStartX + Math.sin(releaseAngle) * ropeLength;
-            const releaseY = ropeStartY + Math.cos(releaseAngle) * ropeLength;
+            const releaseX = ropeStartX + Math.sin(getDisplayAngle(releaseAngle)) * ropeLength;
+            const releaseY = ropeStartY + Math.cos(getDisplayAngle(releaseAngle)) * ropeLength;
 
             // Height difference line
             ctx.strokeStyle = '#e9c46a';
@@ -436,21 +508,20 @@ function draw() {
     }
 
     // Update cylinder status display
+    // Equilibrium is the largest x on the slider that still lifts the cylinder; further below it
+    // the lift is about the shortfall in x, so it is judged against the slider step
     if (fullSystemSetup) {
         if (isAnimating) {
             if (maxCylinderDisplacement === 0) {
                 cylinderStatus.textContent = 'No Oscillation Detected';
                 cylinderStatus.style.color = '#666'; // Darker grey
-            } else if (maxCylinderDisplacement > 0 && maxCylinderDisplacement <= 0.2) {
-                cylinderStatus.textContent = 'Minimal Oscillation';
-                cylinderStatus.style.color = '#e9c46a'; // Yellow for too minimal
-            } else if (maxCylinderDisplacement > 0.2 && maxCylinderDisplacement < 0.5) {
+            } else if (releaseAtThreshold) {
                 cylinderStatus.textContent = 'Equilibrium Found ✓';
                 cylinderStatus.style.color = '#00ff88';
-            } else if (maxCylinderDisplacement >= 0.5 && maxCylinderDisplacement < 2) {
+            } else if (maxCylinderDisplacement < 3 * getExtensionStep()) {
                 cylinderStatus.textContent = 'Slight Movement';
                 cylinderStatus.style.color = '#e9c46a'; // Yellow
-            } else { // maxCylinderDisplacement >= 2
+            } else { // three or more steps short
                 cylinderStatus.textContent = 'Moving Significantly';
                 cylinderStatus.style.color = '#ff6b6b';
             }
@@ -464,80 +535,208 @@ function draw() {
     }
 }
 
-// Physics update for pendulum
-function updatePhysics(dt) {
-    if (!isAnimating) return;
+// Start of a release from height h: pendulum held at its release angle, cylinder at rest on its stop
+function createReleaseState(h) {
+    return {
+        angle: calculateReleaseAngle(h),
+        angularVelocity: 0,
+        displacement: 0,
+        velocity: 0,
+        maxDisplacement: 0
+    };
+}
 
-    // This is a coupled system. The pendulum's pivot is accelerating.
-    // An inertial force (-m*y_ddot) exists in the pendulum's non-inertial frame.
-    // The effective gravity becomes (g + y_ddot), where y_ddot is cylinder's vertical acceleration.
-    // We use the acceleration from the previous time step as an approximation.
-    const effective_g = g + lastCylinderAccel;
-    const angularAcceleration = -(effective_g / actualRopeLength) * Math.sin(pendulumAngle);
+// The coordinates of a release that the integrator advances
+const releaseCoordinates = ['angle', 'angularVelocity', 'displacement', 'velocity'];
+
+// Time derivatives of a release state
+// The cylinder and pendulum are one system with two degrees of freedom: y, the cylinder's displacement
+// below its stop (positive downwards), and θ, the rope angle. From the Lagrangian
+//   L = ½(M + m)ẏ² + ½ml²θ̇² − ml·sinθ·ẏθ̇ + (M + m)gy + mgl·cosθ − ½k(x + y)²
+// with a dashpot on the cylinder and linear air drag on the bob as the Rayleigh dissipation function
+//   (M + m)ÿ − ml·sinθ·θ̈ = (M + m)g − k(x + y) + ml·cosθ·θ̇² + Qy
+//   −ml·sinθ·ÿ + ml²θ̈ = −mgl·sinθ + Qθ
+// springExtension is x, the spring's extension (from x1) with the cylinder on its stop
+function getReleaseDerivatives(state, springExtension) {
+    const l = actualRopeLength;
+    const sin = Math.sin(state.angle);
+    const cos = Math.cos(state.angle);
+    const omega = state.angularVelocity;
+    const totalMass = cylinderMass + smallMass;
+
+    // Generalised damping forces; the bob moves at (l·cosθ·θ̇, ẏ − l·sinθ·θ̇)
+    const bobVelocityY = state.velocity - l * sin * omega;
+    const dampingY = -cylinderDamping * state.velocity - airDrag * bobVelocityY;
+    const dampingTheta = -airDrag * l * (l * omega - sin * state.velocity);
+
+    const forceY = totalMass * g - effectiveSpringConstant * (springExtension + state.displacement) +
+        smallMass * l * cos * omega * omega + dampingY;
+    const torque = -smallMass * g * l * sin + dampingTheta;
+
+    // Resting on its stop the cylinder cannot move up, so it stays put
+    // as long as the stop has to push it down (the spring outpulls weight and rope)
+    if (state.displacement <= 0 && state.velocity <= 0) {
+        const angularAccel = torque / (smallMass * l * l);
+        const stopForce = -smallMass * l * sin * angularAccel - forceY;
+        if (stopForce >= 0) {
+            return { angle: omega, angularVelocity: angularAccel, displacement: 0, velocity: 0, stopForce };
+        }
+    }
 
-    pendulumAngularVelocity += angularAcceleration * dt;
-    pendulumAngle += pendulumAngularVelocity * dt;
+    // Off the stop: solve the two equations for ÿ and θ̈
+    const coupling = smallMass * l * sin;
+    const det = totalMass * smallMass * l * l - coupling * coupling;
+    const accel = (forceY * smallMass * l * l + coupling * torque) / det;
+    const angularAccel = (totalMass * torque + coupling * forceY) / det;
 
-    // Add small damping
-    pendulumAngularVelocity *= 0.9995;
+    return { angle: omega, angularVelocity: angularAccel, displacement: state.velocity, velocity: accel, stopForce: 0 };
+}
 
-    // Calculate centripetal acceleration at current position
-    const velocity = pendulumAngularVelocity * actualRopeLength;
-    const centripetalAccel = (velocity * velocity) / actualRopeLength;
+// A release state moved on by dt along the derivatives d
+function advanceReleaseState(state, d, dt) {
+    const next = {};
+    releaseCoordinates.forEach(key => {
+        next[key] = state[key] + d[key] * dt;
+    });
+    return next;
+}
 
-    // Calculate tension in rope: T = mg*cos(theta) + m*v²/l
-    const tension = smallMass * g * Math.cos(pendulumAngle) + smallMass * centripetalAccel;
+// Advance a release by one RK4 step
+// state: { angle, angularVelocity, displacement, velocity, maxDisplacement }
+// springExtension: extension of the spring (from x1) when the cylinder is on its stop
+function stepRelease(state, dt, springExtension) {
+    const k1 = getReleaseDerivatives(state, springExtension);
+    const k2 = getReleaseDerivatives(advanceReleaseState(state, k1, dt / 2), springExtension);
+    const k3 = getReleaseDerivatives(advanceReleaseState(state, k2, dt / 2), springExtension);
+    const k4 = getReleaseDerivatives(advanceReleaseState(state, k3, dt), springExtension);
+
+    releaseCoordinates.forEach(key => {
+        state[key] += dt / 6 * (k1[key] + 2 * k2[key] + 2 * k3[key] + k4[key]);
+    });
 
-    // Force on cylinder from rope
-    const ropeForceOnCylinder = tension;
+    // The cylinder comes back onto its stop without bouncing
+    if (state.displacement <= 0) {
+        state.displacement = 0;
+        state.velocity = Math.max(0, state.velocity);
+    }
 
-    // Let's use a clear convention: positive direction is DOWNWARDS for cylinder motion.
+    // Track maximum displacement
+    state.maxDisplacement = Math.max(state.maxDisplacement, state.displacement);
+}
+
+// Forces on the cylinder during a release, in dyn
+// Tension from the bob's radial equation in the (accelerating) pivot frame:
+//   T = m((g − ÿ)cosθ + lθ̇²), less the radial part of the air drag on the bob
+// Net is weight + rope (vertical part) − spring, so the cylinder leaves its stop where it turns positive
+function getReleaseForces(state, springExtension) {
+    const accel = getReleaseDerivatives(state, springExtension).velocity;
+    const cos = Math.cos(state.angle);
+
+    const tension = smallMass * ((g - accel) * cos + actualRopeLength * state.angularVelocity * state.angularVelocity) -
+        airDrag * state.velocity * cos;
+    const spring = effectiveSpringConstant * (springExtension + state.displacement);
+    const weight = cylinderMass * g;
+
+    return { tension, spring, weight, net: weight + tension * cos - spring };
+}
+
+// Physics update for pendulum
+function updatePhysics(dt) {
+    if (!isAnimating) return;
 
-    // Downward forces on cylinder: its own weight + tension from rope
-    const downwardForce = cylinderMass * g + ropeForceOnCylinder;
+    const state = {
+        angle: pendulumAngle,
+        angularVelocity: pendulumAngularVelocity,
+        displacement: cylinderDisplacement,
+        velocity: cylinderVelocity,
+        maxDisplacement: maxCylinderDisplacement
+    };
 
-    // Upward spring force depends on the TOTAL extension.
     // Rest extension is from the initial setup (x3)
-    const restSpringExtension = (x3 || currentSpringLength) - naturalSpringLength;
-    // Dynamic displacement is cylinderDisplacement (positive downwards)
-    const totalSpringExtension = restSpringExtension + cylinderDisplacement;
-    const upwardSpringForce = effectiveSpringConstant * totalSpringExtension;
+    const springExtension = (x3 || currentSpringLength) - naturalSpringLength;
+    stepRelease(state, dt, springExtension);
+    releaseTime += dt;
+
+    // Tension peaks as the bob swings through the bottom
+    const { tension } = getReleaseForces(state, springExtension);
+    if (!maxTension || tension > maxTension.tension) {
+        maxTension = { t: releaseTime, tension };
+    }
 
-    // Net force on cylinder, positive DOWNWARDS
-    const netForce = downwardForce - upwardSpringForce;
+    pendulumAngle = state.angle;
+    pendulumAngularVelocity = state.angularVelocity;
+    cylinderDisplacement = state.displacement;
+    cylinderVelocity = state.velocity;
+    maxCylinderDisplacement = state.maxDisplacement;
+}
 
-    // Cylinder acceleration (positive DOWNWARDS)
-    const cylinderAccel = netForce / cylinderMass;
+// Smallest change of x the slider allows (cm)
+function getExtensionStep() {
+    return parseFloat(x3Slider.step) || 1;
+}
 
-    // Update cylinder velocity (positive DOWNWARDS)
-    cylinderVelocity += cylinderAccel * dt;
-    cylinderVelocity *= 0.95; // Damping
+// Run one release from height h headlessly, for one pendulum period (the first swing through the bottom)
+// Returns true if the cylinder leaves its stop at spring extension x
+function releaseLifts(x, h) {
+    const state = createReleaseState(h);
+    const period = 2 * Math.PI * Math.sqrt(actualRopeLength / g);
+    const steps = Math.ceil(period / timeStep);
 
-    // Update cylinder displacement (positive DOWNWARDS)
-    cylinderDisplacement += cylinderVelocity * dt;
+    for (let i = 0; i < steps; i++) {
+        stepRelease(state, timeStep, x);
+        if (state.displacement > 0) return true;
+    }
+    return false;
+}
 
-    // Track maximum displacement
-    if (Math.abs(cylinderDisplacement) > maxCylinderDisplacement) {
-        maxCylinderDisplacement = Math.abs(cylinderDisplacement);
+// Bisect on the spring extension x for the release height h
+// Below the critical x the rope tension at the bottom beats the spring and the cylinder lifts off its stop
+// Returns { x, tolerance, releases }, or { error } if the threshold is outside the x slider range
+function findCriticalExtension(h, tolerance) {
+    let low = parseFloat(x3Slider.min);
+    let high = parseFloat(x3Slider.max);
+    let releases = 2;
+
+    if (!releaseLifts(low, h)) {
+        return { error: `The cylinder stays on its stop even at x = ${low} cm.` };
+    }
+    if (releaseLifts(high, h)) {
+        return { error: `The cylinder still lifts at x = ${high} cm.` };
+    }
+
+    // Halving stops gaining below double precision, so a tiny tolerance still ends after maxBisections
+    for (let i = 0; i < maxBisections && high - low > 2 * tolerance; i++) {
+        const mid = (low + high) / 2;
+        if (releaseLifts(mid, h)) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+        releases++;
     }
 
-    // Limit cylinder displacement - it cannot go above its starting point (y=0)
-    cylinderDisplacement = Math.max(0, Math.min(5, cylinderDisplacement));
+    return { x: (low + high) / 2, tolerance: (high - low) / 2, releases };
+}
 
-    // Store acceleration for the next frame's pendulum calculation
-    lastCylinderAccel = cylinderAccel;
+// Physics steps per frame; in an assessment the run plays faster or slower by √(l/l_drawn),
+// so the drawn rope swings with the period of its drawn length and timing it does not give l away
+function getStepsPerFrame() {
+    return assessment ? 8 * Math.sqrt(assessment.ropeLength / assessment.displayLength) : 8;
 }
 
 // Animation loop
 function animate(timestamp) {
     if (!isAnimating) return;
 
-    const dt = 0.002; // Fixed time step
-    for (let i = 0; i < 8; i++) {
-        updatePhysics(dt);
+    stepCredit += getStepsPerFrame();
+    while (stepCredit >= 1) {
+        updatePhysics(timeStep);
+        stepCredit--;
     }
 
+    recordForces();
     draw();
+    drawForceChart();
 
     // Check if pendulum has nearly stopped
     if (Math.abs(pendulumAngularVelocity) < 0.01 && Math.abs(pendulumAngle) < 0.01) {
@@ -560,6 +759,16 @@ function startAnimation() {
     pendulumAngle = releaseAngle;
     pendulumAngularVelocity = 0;
 
+    // Would one more step of x keep the cylinder down?
+    const springExtension = (x3 || currentSpringLength) - naturalSpringLength;
+    releaseAtThreshold = !releaseLifts(springExtension + getExtensionStep(), releaseHeight);
+
+    // Start a fresh strip chart
+    releaseTime = 0;
+    forceHistory = [];
+    maxTension = null;
+    recordForces();
+
     animationId = requestAnimationFrame(animate);
 }
 
@@ -572,6 +781,161 @@ function stopAnimation() {
     }
 }
 
+// Add the current forces to the strip chart, dropping samples that have scrolled off
+function recordForces() {
+    const state = {
+        angle: pendulumAngle,
+        angularVelocity: pendulumAngularVelocity,
+        displacement: cylinderDisplacement,
+        velocity: cylinderVelocity
+    };
+    const springExtension = (x3 || currentSpringLength) - naturalSpringLength;
+
+    forceHistory.push({ t: releaseTime, ...getReleaseForces(state, springExtension) });
+    while (forceHistory.length > 0 && forceHistory[0].t < releaseTime - chartWindow) {
+        forceHistory.shift();
+    }
+}
+
+// Clear the strip chart
+function clearForceChart() {
+    releaseTime = 0;
+    forceHistory = [];
+    maxTension = null;
+    drawForceChart();
+}
+
+// Draw the strip chart of forces on the cylinder (in mN) against time
+function drawForceChart() {
+    const width = forceCanvas.width;
+    const height = forceCanvas.height;
+    const padding = { left: 45, right: 15, top: 30, bottom: 28 };
+    const toMilliNewtons = 1e-2; // 1 mN = 100 dyn
+
+    forceCtx.clearRect(0, 0, width, height);
+
+    const series = [
+        { key: 'tension', label: 'Tension T', color: '#ff6b6b' },
+        { key: 'spring', label: 'Spring kx', color: '#00d4ff' },
+        { key: 'weight', label: 'Weight Mg', color: '#aaa' },
+        { key: 'net', label: 'Net', color: '#00ff88' }
+    ];
+
+    // Time axis scrolls once the release is longer than the window
+    const tStart = Math.max(0, releaseTime - chartWindow);
+    const tEnd = tStart + chartWindow;
+
+    // Force axis covers every sample and zero
+    let fMin = 0;
+    let fMax = 1;
+    forceHistory.forEach(sample => {
+        series.forEach(({ key }) => {
+            fMin = Math.min(fMin, sample[key] * toMilliNewtons);
+            fMax = Math.max(fMax, sample[key] * toMilliNewtons);
+        });
+    });
+    fMax *= 1.1;
+    fMin = fMin < 0 ? fMin * 1.1 : 0;
+
+    const toCanvasX = (t) => padding.left + (t - tStart) / chartWindow * (width - padding.left - padding.right);
+    const toCanvasY = (f) => height - padding.bottom - (f - fMin) / (fMax - fMin) * (height - padding.top - padding.bottom);
+
+    // Axes
+    forceCtx.strokeStyle = '#666';
+    forceCtx.lineWidth = 1;
+    forceCtx.beginPath();
+    forceCtx.moveTo(padding.left, padding.top);
+    forceCtx.lineTo(padding.left, height - padding.bottom);
+    forceCtx.lineTo(width - padding.right, height - padding.bottom);
+    forceCtx.stroke();
+
+    // Zero line
+    forceCtx.strokeStyle = '#2a2a4a';
+    forceCtx.beginPath();
+    forceCtx.moveTo(padding.left, toCanvasY(0));
+    forceCtx.lineTo(width - padding.right, toCanvasY(0));
+    forceCtx.stroke();
+
+    // Tick labels
+    forceCtx.fillStyle = '#b8b8d1';
+    forceCtx.font = '10px Arial';
+    forceCtx.textAlign = 'center';
+    for (let i = 0; i <= 4; i++) {
+        const t = tStart + i * chartWindow / 4;
+        forceCtx.fillText(t.toFixed(1), toCanvasX(t), height - padding.bottom + 14);
+    }
+    forceCtx.fillText('t (s)', width / 2, height - 3);
+    forceCtx.textAlign = 'right';
+    for (let i = 0; i <= 4; i++) {
+        const f = fMin + i * (fMax - fMin) / 4;
+        forceCtx.fillText(f.toFixed(0), padding.left - 5, toCanvasY(f) + 4);
+    }
+    forceCtx.save();
+    forceCtx.translate(10, (padding.top + height - padding.bottom) / 2);
+    forceCtx.rotate(-Math.PI / 2);
+    forceCtx.textAlign = 'center';
+    forceCtx.fillText('F (mN)', 0, 0);
+    forceCtx.restore();
+
+    // Curves
+    series.forEach(({ key, color }) => {
+        if (forceHistory.length < 2) return;
+        forceCtx.strokeStyle = color;
+        forceCtx.lineWidth = 2;
+        forceCtx.beginPath();
+        forceHistory.forEach((sample, i) => {
+            const x = toCanvasX(sample.t);
+            const y = toCanvasY(sample[key] * toMilliNewtons);
+            if (i === 0) forceCtx.moveTo(x, y);
+            else forceCtx.lineTo(x, y);
+        });
+        forceCtx.stroke();
+    });
+
+    // Legend
+    forceCtx.font = '11px Arial';
+    forceCtx.textAlign = 'left';
+    let legendX = padding.left + 5;
+    series.forEach(({ label, color }) => {
+        forceCtx.fillStyle = color;
+        forceCtx.fillRect(legendX, 8, 12, 3);
+        forceCtx.fillText(label, legendX + 16, 13);
+        legendX += forceCtx.measureText(label).width + 30;
+    });
+
+    // Maximum tension at the bottom of the swing, against T = mg(1 + 2h/l)
+    if (maxTension) {
+        const predicted = smallMass * g * (1 + 2 * releaseHeight / actualRopeLength);
+
+        if (maxTension.t >= tStart) {
+            const x = toCanvasX(maxTension.t);
+            const y = toCanvasY(maxTension.tension * toMilliNewtons);
+
+            forceCtx.strokeStyle = '#e9c46a';
+            forceCtx.lineWidth = 1;
+            forceCtx.setLineDash([4, 4]);
+            forceCtx.beginPath();
+            forceCtx.moveTo(x, padding.top);
+            forceCtx.lineTo(x, height - padding.bottom);
+            forceCtx.stroke();
+            forceCtx.setLineDash([]);
+
+            forceCtx.fillStyle = '#e9c46a';
+            forceCtx.beginPath();
+            forceCtx.arc(x, y, 4, 0, Math.PI * 2);
+            forceCtx.fill();
+        }
+
+        forceCtx.fillStyle = '#e9c46a';
+        forceCtx.textAlign = 'right';
+        forceCtx.fillText(
+            `T max = ${(maxTension.tension * toMilliNewtons).toFixed(1)} mN at t = ${maxTension.t.toFixed(2)} s` +
+            ` (mg(1 + 2h/l) = ${(predicted * toMilliNewtons).toFixed(1)} mN)`,
+            width - padding.right, padding.top - 4
+        );
+    }
+}
+
 // Calculate release angle from height
 function calculateReleaseAngle(h) {
     // h = l - l*cos(theta) = l(1 - cos(theta))
@@ -644,6 +1008,7 @@ measureX2Btn.addEventListener('click', () => {
     // Enable release controls
     releaseBtn.disabled = false;
     resetTrialBtn.disabled = false;
+    findThresholdBtn.disabled = false;
     
     // Update phase display
     updatePhase(3, '3 - Run Experiment');
@@ -697,6 +1062,7 @@ resetTrialBtn.addEventListener('click', () => {
     cylinderVelocity = 0;
     maxCylinderDisplacement = 0;
     releaseBtn.textContent = 'Release Mass';
+    clearForceChart();
     draw();
 });
 
@@ -705,6 +1071,11 @@ recordBtn.addEventListener('click', () => {
     const x = parseFloat(x3Slider.value);
     const h = releaseHeight;
 
+    addDataPoint(x, h);
+});
+
+// Add an (x, h) point to the data table
+function addDataPoint(x, h) {
     recordedData.push({ x, h });
     recordedData.sort((a, b) => a.h - b.h);
     updateDataTable();
@@ -712,6 +1083,29 @@ recordBtn.addEventListener('click', () => {
     if (recordedData.length >= 2) {
         analyzeBtn.disabled = false;
     }
+}
+
+// Find the critical x for the current h, for answer keys
+findThresholdBtn.addEventListener('click', () => {
+    const tolerance = parseFloat(thresholdToleranceInput.value);
+    const minTolerance = parseFloat(thresholdToleranceInput.min);
+    if (!(tolerance >= minTolerance)) {
+        alert(`Enter a tolerance of at least ${minTolerance} cm.`);
+        return;
+    }
+
+    const h = releaseHeight;
+    const result = findCriticalExtension(h, tolerance);
+    if (result.error) {
+        thresholdResult.textContent = result.error;
+        return;
+    }
+
+    thresholdResult.textContent = `h = ${h.toFixed(1)} cm: critical x = ${result.x.toFixed(3)} ± ${result.tolerance.toFixed(3)} cm (${result.releases} releases)`;
+
+    if (thresholdRecordToggle.checked) {
+        addDataPoint(result.x, h);
+    }
 });
 
 // Update data table
@@ -759,6 +1153,7 @@ analyzeBtn.addEventListener('click', () => {
     // dx/dh = 2*x0/l => l = 2*x0/slope
     const experimentalLength = (2 * x0) / fit.slope;
     const percentError = Math.abs((experimentalLength - actualRopeLength) / actualRopeLength * 100);
+    actualLengthDisplay.textContent = assessment ? 'hidden' : actualRopeLength.toFixed(1);
 
     // Update display
     document.getElementById('slopeValue').textContent = fit.slope.toFixed(4);
@@ -766,7 +1161,7 @@ analyzeBtn.addEventListener('click', () => {
     document.getElementById('r2Value').textContent = fit.r2.toFixed(4);
     document.getElementById('x0Result').textContent = x0.toFixed(2);
     document.getElementById('expLength').textContent = experimentalLength.toFixed(2);
-    document.getElementById('percentError').textContent = percentError.toFixed(2);
+    document.getElementById('percentError').textContent = assessment ? 'hidden' : percentError.toFixed(2);
 
     // Draw plot
     drawPlot(hData, xData, fit);
@@ -919,10 +1314,9 @@ function fullReset() {
     cylinderDisplacement = 0;
     cylinderVelocity = 0;
     maxCylinderDisplacement = 0;
-    lastCylinderAccel = 0;
 
-    // 4. Reset spring constant to default
-    const defaultK = 2450;
+    // 4. Reset spring constant to default (or to the assessment's hidden k)
+    const defaultK = assessment && assessment.springConstant ? assessment.springConstant : 2450;
     kSlider.value = defaultK;
     effectiveSpringConstant = defaultK;
     
@@ -943,19 +1337,19 @@ function fullReset() {
     kSlider.disabled = false;
     x3Slider.disabled = true;
     hSlider.disabled = true;
-    setupSystemBtn.disabled = true;
-    setupSystemBtn.textContent = 'Setup System';
     releaseBtn.disabled = true;
     releaseBtn.textContent = 'Release Mass';
     resetTrialBtn.disabled = true;
     recordBtn.disabled = true;
+    findThresholdBtn.disabled = true;
+    thresholdResult.textContent = '';
     
-    // 7. Reset sliders to default values
+    // 7. Reset sliders to default values (kept inside the apparatus ranges)
     x3Slider.value = 20;
-    x3SliderValue.textContent = '20';
+    x3SliderValue.textContent = x3Slider.value;
     hSlider.value = 20;
-    hSliderValue.textContent = '20';
-    releaseHeight = 20;
+    hSliderValue.textContent = hSlider.value;
+    releaseHeight = parseFloat(hSlider.value);
 
     // 8. Clear data table and analysis
     recordedData = [];
@@ -964,11 +1358,223 @@ function fullReset() {
     analysisSection.style.display = 'none';
 
     // 9. Redraw initial state
+    clearForceChart();
     init();
 }
 
 fullResetBtn.addEventListener('click', fullReset);
 
+// Read the apparatus panel, or alert and return null if a value is out of range
+function readApparatus() {
+    const config = {};
+    for (const [key, input] of Object.entries(apparatusInputs)) {
+        config[key] = parseFloat(input.value);
+        if (!Number.isFinite(config[key]) || config[key] <= 0) {
+            alert('Every apparatus value must be a number greater than 0.');
+            return null;
+        }
+    }
+
+    if (config.hMin >= config.hMax) {
+        alert('The smallest release height must be below the largest.');
+        return null;
+    }
+    if (config.hMax > config.l) {
+        alert('The release height cannot be more than the rope length, or the rope goes slack.');
+        return null;
+    }
+
+    return config;
+}
+
+// Set up the apparatus: rope, masses, spring, slider ranges and a drawing scale that fits them
+function applyApparatus(config) {
+    actualRopeLength = config.l;
+    cylinderMass = config.M;
+    smallMass = config.m;
+    naturalSpringLength = config.x1;
+
+    x3Slider.max = config.xMax;
+    hSlider.min = config.hMin;
+    hSlider.max = config.hMax;
+
+    // Spring at mid-range, cylinder (40 px), rope and mass (15 px) above the ground
+    const apparatusLength = naturalSpringLength + config.xMax / 2 + actualRopeLength;
+    scale = Math.min(maxScale, (groundY - anchorY - 40 - 15) / apparatusLength);
+
+    actualLengthDisplay.textContent = actualRopeLength.toFixed(1);
+}
+
+// Show the apparatus values in the panel
+function showApparatus() {
+    apparatusInputs.l.value = actualRopeLength;
+    apparatusInputs.M.value = cylinderMass;
+    apparatusInputs.m.value = smallMass;
+    apparatusInputs.x1.value = naturalSpringLength;
+    apparatusInputs.xMax.value = x3Slider.max;
+    apparatusInputs.hMin.value = hSlider.min;
+    apparatusInputs.hMax.value = hSlider.max;
+}
+
+// Presets come in the URL, e.g. ?l=90&M=5&m=6&x1=25&xMax=40&hMin=5&hMax=80
+function loadApparatusFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const keys = Object.keys(apparatusInputs).filter(key => params.has(key));
+    if (keys.length === 0) return;
+
+    keys.forEach(key => {
+        apparatusInputs[key].value = params.get(key);
+    });
+
+    const config = readApparatus();
+    if (config) {
+        applyApparatus(config);
+    } else {
+        showApparatus();
+    }
+}
+
+// Keep the page URL in step with the apparatus, so it can be shared as a preset
+function updateApparatusUrl(config) {
+    const params = new URLSearchParams(window.location.search);
+    Object.entries(config).forEach(([key, value]) => params.set(key, value));
+    history.replaceState(null, '', `${window.location.pathname}?${params}`);
+}
+
+// A new apparatus starts the experiment again
+applyConfigBtn.addEventListener('click', () => {
+    const config = readApparatus();
+    if (!config) return;
+
+    applyApparatus(config);
+    updateApparatusUrl(config);
+    fullReset();
+});
+
+// Hash a string to 32 bits (FNV-1a)
+function hashString(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// Seeded random numbers in [0, 1) (mulberry32), so a seed always gives the same apparatus
+function createRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// The hidden values for a seed; l is drawn first so it does not depend on whether k is randomised
+function getAssessmentValues(seed, randomK) {
+    const random = createRandom(hashString(seed));
+    const ropeLength = Math.round((assessmentRopeRange.min + random() * (assessmentRopeRange.max - assessmentRopeRange.min)) * 10) / 10;
+    const springConstant = Math.round((assessmentKRange.min + random() * (assessmentKRange.max - assessmentKRange.min)) / 50) * 50;
+
+    return { ropeLength, springConstant: randomK ? springConstant : null };
+}
+
+// Submissions are shown and hashed at the 0.1 cm the code records, so the instructor marks the value the code stands for
+function roundSubmission(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Short code for a submission: its seed, value and attempt, and nothing about whether l is right.
+// The page runs in the student's browser with no secret, so anything it could judge it could also leak:
+// the instructor marks l against the seed's length off the page. The attempt count lives in memory and
+// starts again on a reload, so it cannot be enforced either
+function getVerificationCode(seed, submitted, attempt) {
+    const text = `${seed}|${submitted.toFixed(1)}|${attempt}`;
+    return hashString(text).toString(36).toUpperCase().padStart(7, '0');
+}
+
+// Show or hide everything that would give the hidden values away
+function showAssessmentControls() {
+    const hidden = assessment !== null;
+
+    apparatusSection.style.display = hidden ? 'none' : '';
+    thresholdSection.style.display = hidden ? 'none' : '';
+    forceCanvas.style.display = hidden ? 'none' : '';
+    kSlider.closest('.control-group').style.display = hidden && assessment.springConstant ? 'none' : '';
+
+    assessmentSeedInput.disabled = hidden;
+    assessmentRandomKToggle.disabled = hidden;
+    submitAnswerBtn.disabled = !hidden;
+    assessmentBtn.textContent = hidden ? 'Leave Assessment' : 'Start Assessment';
+}
+
+// Start an assessment: hidden rope length (and k) from the seed, and a fresh experiment
+function startAssessment() {
+    const seed = assessmentSeedInput.value.trim();
+    if (seed === '') {
+        alert('Enter a seed (for example your student ID) to start the assessment.');
+        return;
+    }
+
+    const values = getAssessmentValues(seed, assessmentRandomKToggle.checked);
+    assessment = {
+        seed,
+        ropeLength: values.ropeLength,
+        springConstant: values.springConstant,
+        displayLength: actualRopeLength,
+        hMax: hSlider.max,
+        attempts: 0
+    };
+
+    // Releases stay below the shortest rope an assessment can have
+    actualRopeLength = values.ropeLength;
+    hSlider.max = Math.min(parseFloat(hSlider.max), assessmentRopeRange.min);
+
+    assessmentResult.textContent = '';
+    showAssessmentControls();
+    fullReset();
+}
+
+// Put the configured apparatus back
+function leaveAssessment() {
+    actualRopeLength = assessment.displayLength;
+    hSlider.max = assessment.hMax;
+    assessment = null;
+
+    assessmentResult.textContent = '';
+    showAssessmentControls();
+    fullReset();
+}
+
+assessmentBtn.addEventListener('click', () => {
+    if (assessment) {
+        leaveAssessment();
+    } else {
+        startAssessment();
+    }
+});
+
+// Record the student's l and give them a code to hand in with it
+submitAnswerBtn.addEventListener('click', () => {
+    if (!assessment) return;
+
+    const submitted = roundSubmission(parseFloat(assessmentAnswerInput.value));
+    if (!(submitted > 0)) {
+        alert('Enter your rope length l in cm.');
+        return;
+    }
+
+    assessment.attempts++;
+    const code = getVerificationCode(assessment.seed, submitted, assessment.attempts);
+
+    assessmentResult.textContent = `Attempt ${assessment.attempts}: l = ${submitted.toFixed(1)} cm submitted. ` +
+        `Hand in this verification code: ${code}`;
+});
+
 
 // Initialize
+showApparatus();
+loadApparatusFromUrl();
 init();
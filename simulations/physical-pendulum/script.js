@@ -5,19 +5,64 @@ const canvas = document.getElementById('pendulumCanvas');
 const ctx = canvas.getContext('2d');
 
 // DOM Elements
+const experimentModeSelect = document.getElementById('experimentMode');
+const bodyShapeSelect = document.getElementById('bodyShape');
 const pivotDistanceSelect = document.getElementById('pivotDistance');
 const initialAngleSlider = document.getElementById('initialAngle');
 const angleValueSpan = document.getElementById('angleValue');
 const periodCountInput = document.getElementById('periodCount');
+const timingModeSelect = document.getElementById('timingMode');
+const reactionGroup = document.getElementById('reactionGroup');
+const reactionJitterSlider = document.getElementById('reactionJitter');
+const reactionValueSpan = document.getElementById('reactionValue');
+const stopwatchBtn = document.getElementById('stopwatchBtn');
+const dampingModelSelect = document.getElementById('dampingModel');
+const dampingGroup = document.getElementById('dampingGroup');
+const dampingCoefficientSlider = document.getElementById('dampingCoefficient');
+const dampingValueSpan = document.getElementById('dampingValue');
+const dampingUnitSpan = document.getElementById('dampingUnit');
+const decayCanvas = document.getElementById('decayCanvas');
+const decayCtx = decayCanvas.getContext('2d');
+const dampingResults = document.getElementById('dampingResults');
+const driveGroup = document.getElementById('driveGroup');
+const driveTypeSelect = document.getElementById('driveType');
+const driveAmplitudeSlider = document.getElementById('driveAmplitude');
+const driveAmplitudeValueSpan = document.getElementById('driveAmplitudeValue');
+const driveAmplitudeUnitSpan = document.getElementById('driveAmplitudeUnit');
+const driveFrequencySlider = document.getElementById('driveFrequency');
+const driveFrequencyValueSpan = document.getElementById('driveFrequencyValue');
+const naturalFrequencySpan = document.getElementById('naturalFrequency');
+const sweepSpanInput = document.getElementById('sweepSpan');
+const sweepStepsInput = document.getElementById('sweepSteps');
+const sweepBtn = document.getElementById('sweepBtn');
+const sweepStatus = document.getElementById('sweepStatus');
+const integratorSelect = document.getElementById('integrator');
+const timeStepSelect = document.getElementById('timeStep');
+const energyCanvas = document.getElementById('energyCanvas');
+const energyCtx = energyCanvas.getContext('2d');
+const phaseCanvas = document.getElementById('phaseErrorCanvas');
+const phaseCtx = phaseCanvas.getContext('2d');
+const portraitCanvas = document.getElementById('phasePortraitCanvas');
+const portraitCtx = portraitCanvas.getContext('2d');
+const poincareToggle = document.getElementById('poincareToggle');
+const poincareLabel = document.getElementById('poincareLabel');
+const photogateLog = document.getElementById('photogateLog');
+const photogateTableBody = document.getElementById('photogateTableBody');
+const resultErrorRow = document.getElementById('resultErrorRow');
+const resultError = document.getElementById('resultError');
 const releaseBtn = document.getElementById('releaseBtn');
 const resetBtn = document.getElementById('resetBtn');
 const timerValue = document.getElementById('timerValue');
 const resultsDisplay = document.getElementById('resultsDisplay');
+const periodResults = document.getElementById('periodResults');
+const drivenResults = document.getElementById('drivenResults');
 const resultH = document.getElementById('resultH');
 const resultPeriods = document.getElementById('resultPeriods');
+const resultTiming = document.getElementById('resultTiming');
 const resultTotalTime = document.getElementById('resultTotalTime');
 const resultAvgPeriod = document.getElementById('resultAvgPeriod');
 const storeBtn = document.getElementById('storeBtn');
+const dataTableHead = document.getElementById('dataTableHead');
 const dataTableBody = document.getElementById('dataTableBody');
 const clearTableBtn = document.getElementById('clearTableBtn');
 const exportBtn = document.getElementById('exportBtn');
@@ -25,9 +70,101 @@ const exportBtn = document.getElementById('exportBtn');
 // Physical constants
 const g = 980; // cm/s² (using cm for consistency)
 const rulerLength = 100; // cm (total ruler length)
-const rulerHalfLength = 50; // cm (from center to end)
+const diskRadius = 20; // cm
+const ringInnerRadius = 10; // cm
+const ringOuterRadius = 20; // cm
+const plateLength = 60; // cm (long side, hangs vertically)
+const plateWidth = 30; // cm
+
+// Rigid bodies available on the lab bench
+// Holes are drilled along a line through the center of mass at the listed distances (cm)
+// and are small enough that the missing mass is neglected
+const bodies = {
+    ruler: {
+        label: 'Meter Stick (100 cm)',
+        holes: [5, 10, 15, 20, 25, 30, 35, 40, 45],
+        defaultHole: 15,
+        // I_cm = (1/12)mL²
+        getICmOverM: () => rulerLength * rulerLength / 12,
+        draw: drawRuler
+    },
+    disk: {
+        label: 'Solid Disk (R = 20 cm)',
+        holes: [2, 4, 6, 8, 10, 12, 14, 16, 18],
+        defaultHole: 10,
+        // I_cm = (1/2)mR²
+        getICmOverM: () => diskRadius * diskRadius / 2,
+        draw: drawDisk
+    },
+    ring: {
+        label: 'Ring (R = 10–20 cm)',
+        holes: [11, 13, 15, 17, 19],
+        defaultHole: 15,
+        // I_cm = (1/2)m(R₁² + R₂²)
+        getICmOverM: () => (ringInnerRadius * ringInnerRadius + ringOuterRadius * ringOuterRadius) / 2,
+        draw: drawRing
+    },
+    plate: {
+        label: 'Rectangular Plate (60 × 30 cm)',
+        holes: [3, 6, 9, 12, 15, 18, 21, 24, 27],
+        defaultHole: 12,
+        // I_cm = (1/12)m(a² + b²)
+        getICmOverM: () => (plateLength * plateLength + plateWidth * plateWidth) / 12,
+        draw: drawPlate
+    }
+};
+
+// Longest frame the physics will catch up on (s), prevents spiral of death
+const maxFrameTime = 0.05;
+
+// Adaptive RK45 error tolerance (absolute and relative, per step)
+const rk45Tolerance = 1e-9;
+
+// Photogate timer resolution (s)
+const photogateResolution = 0.0001;
+
+// The live decay plot and phase portrait keep this much of their traces (s), so a long run costs the same per frame
+const traceWindow = 60;
+
+// Simulated time between trace samples (s), so a sped-up sweep still draws the swing instead of an alias of it
+const traceSampleInterval = 1 / 60;
+
+// The energy drift log keeps the whole run, halving its resolution whenever it grows past this many points
+const maxEnergyLogPoints = 4000;
+
+// Damping models, written as angular decelerations so the body's mass drops out
+// Each model's coefficient slider shares one range; only the unit differs
+const dampingModels = {
+    none: { label: 'None', unit: '' },
+    viscous: { label: 'Viscous (−bω)', unit: 's⁻¹' },
+    quadratic: { label: 'Air Drag (−cω|ω|)', unit: 'rad⁻¹' },
+    friction: { label: 'Pivot Friction (−μ·sgn ω)', unit: 'rad/s²' }
+};
+
+// Drive types: a torque applied to the body, or a horizontally shaken pivot
+const driveTypes = {
+    torque: { label: 'Torque', unit: 'rad/s²' },
+    pivot: { label: 'Shaken pivot', unit: 'cm' }
+};
+
+// Steady state: the largest |θ| of the last few drive cycles agree within a tolerance
+const steadyWindow = 10; // drive cycles compared
+const steadyTolerance = 0.003; // relative spread
+const minSettleCycles = 20;
+const maxSettleCycles = 600; // give up waiting (e.g. no damping) and take the amplitude as it is
+
+// A frequency sweep runs this many times faster than real time
+const sweepSpeedup = 50;
+
+// Initial angle slider limits (degrees) for each experiment
+// The g experiment relies on the small-angle formula, the amplitude experiment does not
+const maxAngleSmall = 20;
+const maxAngleLarge = 90;
 
 // Simulation state
+let bodyKey = 'ruler';
+let experimentMode = 'pivot'; // 'pivot' (T vs h), 'amplitude' (T vs θ₀) or 'driven' (resonance curve)
+let analysisTab = 'linear'; // 'linear' (h² vs hT²) or 'minimum' (raw T vs h), pivot experiment only
 let isRunning = false;
 let animationId = null;
 let simulationTime = 0;
@@ -39,6 +176,55 @@ let initialAngle = 10; // degrees
 let targetPeriods = 10;
 let completedPeriods = 0;
 let hasStartedSwinging = false;
+let launchAngle = 0; // angle at release (rad), not wrapped
+let launchedFromRest = true; // released from a turning point rather than a phase point
+let completedRevolutions = 0; // full turns over the top since release
+let countStartTime = 0; // automatic timing starts here; null until the first positive turning point after a mid-swing launch
+
+// Timing state
+let timingMode = 'auto'; // 'auto' (exact), 'manual' (student-operated stopwatch) or 'photogate'
+let reactionJitter = 0.1; // s, standard deviation of each button press
+let stopwatchState = 'idle'; // 'idle', 'running' or 'stopped'
+let stopwatchStart = 0; // simulated time the stopwatch actually started (s)
+let measuredTime = 0; // total time reported for the trial (s)
+let measuredError = null; // uncertainty of T: photogate standard error or stopwatch reaction error (s)
+let photogateCrossings = []; // timestamps of every beam crossing (s)
+let photogateDirections = []; // sign of ω at each crossing
+let lastPeriodCrossing = 0; // index of the crossing that closed the last period
+let photogatePeriods = []; // individual periods from every second crossing (s)
+
+// Damping state
+let dampingModel = 'none';
+let dampingCoefficient = 0.05; // b (s⁻¹), c (rad⁻¹) or μ (rad/s²) depending on the model
+let isStuck = false; // pivot friction has brought the body to rest
+let amplitudeLog = []; // { t, amplitude } at every turning point (amplitude in rad)
+let angleTrace = []; // { t, angle } every traceSampleInterval for the live plot, last traceWindow seconds
+let nextTraceSample = 0; // simulated time of the next trace sample (s)
+
+// Integrator state
+let integrator = 'rk4'; // 'euler', 'semiImplicitEuler', 'verlet', 'rk4' or 'rk45'
+let timeStep = 0.0005; // s
+let stepAccumulator = 0; // real time not yet simulated (s)
+let rk45StepSize = 0.0005; // last accepted adaptive step (s)
+let initialEnergy = 0; // mechanical energy per unit moment of inertia at release (rad²/s²)
+let energyLog = []; // { t, drift } relative energy change (%) once per frame
+let phaseErrorLog = []; // { t, error } lag behind the undamped analytic solution at each crossing (°)
+
+// Driven pendulum state
+let driveType = 'torque';
+let driveAmplitude = 0.2; // rad/s² (torque) or cm (pivot)
+let driveFrequency = 0.6; // Hz
+let driveStartTime = 0; // simulated time the current drive frequency was switched on (s)
+let driveCycleMax = 0; // largest |θ| so far in the current drive cycle (rad)
+let driveCycleAmplitudes = []; // largest |θ| of every completed drive cycle (rad)
+let steadyAmplitude = null; // amplitude once the run has settled (rad)
+let steadyReached = false; // false if the run gave up after maxSettleCycles
+let sweepFrequencies = null; // drive frequencies of the running sweep (Hz)
+let sweepIndex = 0;
+
+// Phase space state
+let phaseTrace = []; // { t, theta, omega } every traceSampleInterval, θ wrapped to (-π, π], last traceWindow seconds
+let poincarePoints = []; // { theta, omega } on the section θ = 0, ω > 0
 
 // Stored data
 let storedData = [];
@@ -46,66 +232,362 @@ let storedData = [];
 // Scale for drawing (pixels per cm)
 const scale = 4;
 
+// Fill the pivot select with the hole positions of the current body
+function populatePivotOptions() {
+    const body = bodies[bodyKey];
+    pivotDistanceSelect.innerHTML = '';
+    body.holes.forEach(d => {
+        const option = document.createElement('option');
+        option.value = d;
+        option.textContent = `${d} cm`;
+        option.selected = d === body.defaultHole;
+        pivotDistanceSelect.appendChild(option);
+    });
+}
+
 // Initialize
-function init() {
+// launchState { angle, omega } releases from a chosen phase point instead of from rest at the slider angle
+function init(launchState) {
     pivotDistance = parseInt(pivotDistanceSelect.value);
     initialAngle = parseInt(initialAngleSlider.value);
     targetPeriods = parseInt(periodCountInput.value);
     angle = initialAngle * Math.PI / 180;
     angularVelocity = 0;
+    if (launchState) {
+        angle = launchState.angle;
+        angularVelocity = launchState.omega;
+        initialAngle = getEquivalentAmplitude(angle, angularVelocity, pivotDistance);
+    }
+    launchAngle = angle;
+    launchedFromRest = angularVelocity === 0;
+    completedRevolutions = 0;
+    // Periods end at positive turning points, so only a rest on the positive side already counts as one
+    countStartTime = (launchedFromRest && wrapAngle(angle) > 0) || initialAngle >= 180 ? 0 : null;
     completedPeriods = 0;
     hasStartedSwinging = false;
     simulationTime = 0;
     lastFrameTime = 0;
+    timingMode = timingModeSelect.value;
+    reactionJitter = parseInt(reactionJitterSlider.value) / 1000;
+    stopwatchState = 'idle';
+    stopwatchStart = 0;
+    measuredTime = 0;
+    measuredError = null;
+    photogateCrossings = [];
+    photogateDirections = [];
+    lastPeriodCrossing = 0;
+    photogatePeriods = [];
+    photogateLog.style.display = timingMode === 'photogate' ? 'block' : 'none';
+    updatePhotogateTable();
+    updateStopwatchButton();
+    dampingModel = dampingModelSelect.value;
+    dampingCoefficient = parseFloat(dampingCoefficientSlider.value);
+    isStuck = false;
+    driveType = driveTypeSelect.value;
+    driveAmplitude = parseFloat(driveAmplitudeSlider.value);
+    driveFrequency = parseFloat(driveFrequencySlider.value);
+    driveStartTime = 0;
+    driveCycleMax = 0;
+    driveCycleAmplitudes = [];
+    steadyAmplitude = null;
+    steadyReached = false;
+    sweepFrequencies = null;
+    sweepStatus.textContent = '';
+    naturalFrequencySpan.textContent = (1 / getTheoreticalPeriod(pivotDistance)).toFixed(3);
+    amplitudeLog = [{ t: 0, amplitude: Math.abs(wrapAngle(angle)) }];
+    angleTrace = [{ t: 0, angle: wrapAngle(angle) }];
+    phaseTrace = [{ t: 0, theta: wrapAngle(angle), omega: angularVelocity }];
+    nextTraceSample = traceSampleInterval;
+    poincarePoints = [];
+    integrator = integratorSelect.value;
+    timeStep = parseFloat(timeStepSelect.value) / 1000;
+    stepAccumulator = 0;
+    rk45StepSize = timeStep;
+    initialEnergy = getMechanicalEnergy(angle, angularVelocity, pivotDistance);
+    energyLog = [{ t: 0, drift: 0 }];
+    phaseErrorLog = [{ t: 0, error: 0 }];
+    dampingResults.style.display = 'none';
     resultsDisplay.style.display = 'none';
     timerValue.textContent = '0.000 s';
     draw();
+    drawDecayPlot(null);
+    drawDiagnostics();
+    drawPhasePortrait();
+}
+
+// Wrap an angle to (-π, π] so rotating motion stays on the phase plot
+function wrapAngle(theta) {
+    return Math.atan2(Math.sin(theta), Math.cos(theta));
+}
+
+// Standard normal random number (Box-Muller transform)
+function gaussianRandom() {
+    let u = 0, v = 0;
+    while (u === 0) u = Math.random();
+    while (v === 0) v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Simulated time at which a stopwatch press registers
+// The press lands early or late by a normally distributed reaction error
+function getPressTime() {
+    return simulationTime + reactionJitter * gaussianRandom();
+}
+
+// Mean, sample standard deviation and standard error of the mean
+function getStatistics(values) {
+    const n = values.length;
+    const mean = values.reduce((sum, v) => sum + v, 0) / n;
+    const variance = n > 1
+        ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1)
+        : 0;
+    const stdDev = Math.sqrt(variance);
+    return { mean, stdDev, stdError: stdDev / Math.sqrt(n) };
 }
 
 // Calculate moment of inertia about pivot point
 function getMomentOfInertia(h) {
-    // I = I_cm + mh² = (1/12)mL² + mh²
-    // We can factor out m, so I/m = L²/12 + h²
-    const L = rulerLength;
-    return (L * L / 12) + (h * h);
+    // I = I_cm + mh² (parallel axis theorem)
+    // We can factor out m, so I/m = I_cm/m + h²
+    return bodies[bodyKey].getICmOverM() + (h * h);
+}
+
+// Calculate angular deceleration from the selected damping model
+function getDampingAcceleration(omega) {
+    switch (dampingModel) {
+        case 'viscous':
+            return -dampingCoefficient * omega;
+        case 'quadratic':
+            return -dampingCoefficient * omega * Math.abs(omega);
+        case 'friction':
+            return -dampingCoefficient * Math.sign(omega);
+        default:
+            return 0;
+    }
+}
+
+// Calculate angular acceleration from the sinusoidal drive at time t
+function getDriveAcceleration(theta, h, t) {
+    if (experimentMode !== 'driven') return 0;
+
+    const driveOmega = 2 * Math.PI * driveFrequency;
+    const phase = driveOmega * (t - driveStartTime);
+
+    if (driveType === 'pivot') {
+        // Pivot at x_p = X₀cos(Ωt): the inertial force -m·ẍ_p acts at the center of mass,
+        // giving a torque m·h·X₀Ω²cos(Ωt)·cos θ
+        return h * driveAmplitude * driveOmega * driveOmega * Math.cos(phase) * Math.cos(theta) / getMomentOfInertia(h);
+    }
+
+    return driveAmplitude * Math.cos(phase);
+}
+
+// Horizontal pivot displacement at time t (cm)
+function getPivotDisplacement(t) {
+    if (experimentMode !== 'driven' || driveType !== 'pivot') return 0;
+    return driveAmplitude * Math.cos(2 * Math.PI * driveFrequency * (t - driveStartTime));
 }
 
 // Calculate angular acceleration
-function getAngularAcceleration(theta, h) {
-    // θ'' = -(mgh/I) * sin(θ)
-    // Since I/m = L²/12 + h², we get θ'' = -gh/(L²/12 + h²) * sin(θ)
+function getAngularAcceleration(theta, omega, h, t) {
+    // θ'' = -(mgh/I) * sin(θ) + damping + drive
+    // Since I/m = I_cm/m + h², we get θ'' = -gh/(I_cm/m + h²) * sin(θ) + damping + drive
     const I_over_m = getMomentOfInertia(h);
-    return -(g * h / I_over_m) * Math.sin(theta);
+    return -(g * h / I_over_m) * Math.sin(theta) + getDampingAcceleration(omega) + getDriveAcceleration(theta, h, t);
+}
+
+// Mechanical energy divided by the moment of inertia about the pivot
+// E/I = ½ω² + (mgh/I)(1 - cos θ)
+function getMechanicalEnergy(theta, omega, h) {
+    const omegaSquared = getGravityOmegaSquared(h);
+    return 0.5 * omega * omega + omegaSquared * (1 - Math.cos(theta));
 }
 
 // Calculate theoretical period
 function getTheoreticalPeriod(h) {
-    // T = 2π√(I/(mgh)) = 2π√((L²/12 + h²)/(gh))
+    // T = 2π√(I/(mgh)) = 2π√((I_cm/m + h²)/(gh))
     const I_over_m = getMomentOfInertia(h);
     return 2 * Math.PI * Math.sqrt(I_over_m / (g * h));
 }
 
-// Update physics using RK4 integration
-function updatePhysics(dt) {
-    const h = pivotDistance;
+// Complete elliptic integral of the first kind K(k) via the arithmetic-geometric mean
+function completeEllipticK(k) {
+    if (k >= 1) return Infinity;
+
+    let a = 1;
+    let b = Math.sqrt(1 - k * k);
+    while (Math.abs(a - b) > 1e-15 * a) {
+        const aNext = (a + b) / 2;
+        b = Math.sqrt(a * b);
+        a = aNext;
+    }
+    return Math.PI / (2 * a);
+}
+
+// Calculate exact period for any amplitude
+function getExactPeriod(h, theta0Deg) {
+    // T = T₀ · (2/π) · K(sin(θ₀/2))
+    const k = Math.sin(theta0Deg * Math.PI / 360);
+    return getTheoreticalPeriod(h) * (2 / Math.PI) * completeEllipticK(k);
+}
+
+// Squared small-angle angular frequency mgh/I (rad²/s²)
+function getGravityOmegaSquared(h) {
+    return g * h / getMomentOfInertia(h);
+}
+
+// Exact period for a given energy E/I: the oscillation period below the separatrix,
+// the time for one full revolution above it
+function getExactPeriodFromEnergy(h, energy) {
+    const omegaSquared = getGravityOmegaSquared(h);
+    const ratio = energy / (2 * omegaSquared);
+
+    if (ratio < 1) {
+        const theta0Deg = 2 * Math.asin(Math.sqrt(ratio)) * 180 / Math.PI;
+        return getExactPeriod(h, theta0Deg);
+    }
+
+    // Rotation: T = 2kK(k)/ω₀ with k² = 2ω₀²/E
+    const k = 1 / Math.sqrt(ratio);
+    return 2 * k * completeEllipticK(k) / Math.sqrt(omegaSquared);
+}
+
+// Turning-point angle (degrees, to 0.1°) with the same energy as (θ, ω); 180 if the body rotates
+function getEquivalentAmplitude(theta, omega, h) {
+    const ratio = getMechanicalEnergy(theta, omega, h) / (2 * getGravityOmegaSquared(h));
+    if (ratio >= 1) return 180;
+    return Math.round(2 * Math.asin(Math.sqrt(ratio)) * 1800 / Math.PI) / 10;
+}
+
+// Series expansion of T/T₀ in the amplitude (θ₀ in radians)
+function getSeriesPeriodRatio(theta0) {
+    const t2 = theta0 * theta0;
+    return 1 + t2 / 16 + 11 * t2 * t2 / 3072 + 173 * t2 * t2 * t2 / 737280;
+}
+
+// Advance (θ, ω) from time t by one step of dt with the selected integrator
+function integrateStep(theta, omega, dt, h, t) {
+    switch (integrator) {
+        case 'euler': {
+            // Explicit Euler: both updates use the old state, energy grows every step
+            const alpha = getAngularAcceleration(theta, omega, h, t);
+            return [theta + omega * dt, omega + alpha * dt];
+        }
+        case 'semiImplicitEuler': {
+            // Semi-implicit (symplectic) Euler: update ω first, then θ with the new ω
+            const newOmega = omega + getAngularAcceleration(theta, omega, h, t) * dt;
+            return [theta + newOmega * dt, newOmega];
+        }
+        case 'verlet': {
+            // Velocity Verlet, with a predicted ω for velocity-dependent damping
+            const alpha0 = getAngularAcceleration(theta, omega, h, t);
+            const newTheta = theta + omega * dt + 0.5 * alpha0 * dt * dt;
+            const alpha1 = getAngularAcceleration(newTheta, omega + alpha0 * dt, h, t + dt);
+            return [newTheta, omega + 0.5 * (alpha0 + alpha1) * dt];
+        }
+        case 'rk45':
+            return integrateAdaptive(theta, omega, dt, h, t);
+        default: {
+            // RK4 integration for better accuracy
+            const k1x = omega;
+            const k1v = getAngularAcceleration(theta, k1x, h, t);
+
+            const k2x = omega + 0.5 * dt * k1v;
+            const k2v = getAngularAcceleration(theta + 0.5 * dt * k1x, k2x, h, t + 0.5 * dt);
+
+            const k3x = omega + 0.5 * dt * k2v;
+            const k3v = getAngularAcceleration(theta + 0.5 * dt * k2x, k3x, h, t + 0.5 * dt);
+
+            const k4x = omega + dt * k3v;
+            const k4v = getAngularAcceleration(theta + dt * k3x, k4x, h, t + dt);
+
+            return [
+                theta + (dt / 6) * (k1x + 2 * k2x + 2 * k3x + k4x),
+                omega + (dt / 6) * (k1v + 2 * k2v + 2 * k3v + k4v)
+            ];
+        }
+    }
+}
+
+// Dormand-Prince 5(4) tableau
+const dormandPrinceA = [
+    [],
+    [1 / 5],
+    [3 / 40, 9 / 40],
+    [44 / 45, -56 / 15, 32 / 9],
+    [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+    [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+    [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+];
+const dormandPrinceB5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+const dormandPrinceB4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+const dormandPrinceC = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+
+// Adaptive RK45 (Dormand-Prince): cover dt with as many sub-steps as the tolerance requires
+function integrateAdaptive(theta, omega, dt, h, t) {
+    let elapsed = 0;
+
+    while (elapsed < dt) {
+        const step = Math.min(rk45StepSize, dt - elapsed);
+
+        // Stages k = [dθ/dt, dω/dt]
+        const k = [];
+        for (let stage = 0; stage < 7; stage++) {
+            let stageTheta = theta;
+            let stageOmega = omega;
+            dormandPrinceA[stage].forEach((a, j) => {
+                stageTheta += step * a * k[j][0];
+                stageOmega += step * a * k[j][1];
+            });
+            const stageTime = t + elapsed + dormandPrinceC[stage] * step;
+            k.push([stageOmega, getAngularAcceleration(stageTheta, stageOmega, h, stageTime)]);
+        }
 
-    // RK4 integration for better accuracy
-    const k1v = getAngularAcceleration(angle, h);
-    const k1x = angularVelocity;
+        let newTheta = theta;
+        let newOmega = omega;
+        let errorTheta = 0;
+        let errorOmega = 0;
+        for (let stage = 0; stage < 7; stage++) {
+            newTheta += step * dormandPrinceB5[stage] * k[stage][0];
+            newOmega += step * dormandPrinceB5[stage] * k[stage][1];
+            errorTheta += step * (dormandPrinceB5[stage] - dormandPrinceB4[stage]) * k[stage][0];
+            errorOmega += step * (dormandPrinceB5[stage] - dormandPrinceB4[stage]) * k[stage][1];
+        }
+
+        const error = Math.max(
+            Math.abs(errorTheta) / (rk45Tolerance + rk45Tolerance * Math.abs(newTheta)),
+            Math.abs(errorOmega) / (rk45Tolerance + rk45Tolerance * Math.abs(newOmega))
+        );
+        const factor = error > 0 ? 0.9 * Math.pow(error, -0.2) : 5;
+
+        // Accept the step if within tolerance, or if it has shrunk to nothing (e.g. at a friction kink)
+        if (error <= 1 || step < 1e-9) {
+            theta = newTheta;
+            omega = newOmega;
+            elapsed += step;
+            rk45StepSize = step * Math.min(5, Math.max(0.2, factor));
+        } else {
+            rk45StepSize = step * Math.max(0.2, factor);
+        }
+    }
 
-    const k2v = getAngularAcceleration(angle + 0.5 * dt * k1x, h);
-    const k2x = angularVelocity + 0.5 * dt * k1v;
+    return [theta, omega];
+}
 
-    const k3v = getAngularAcceleration(angle + 0.5 * dt * k2x, h);
-    const k3x = angularVelocity + 0.5 * dt * k2v;
+// Update physics with the selected integrator
+function updatePhysics(dt) {
+    const h = pivotDistance;
 
-    const k4v = getAngularAcceleration(angle + dt * k3x, h);
-    const k4x = angularVelocity + dt * k3v;
+    // Static friction holds the body once it has stopped, until the drive breaks it free
+    if (isStuck) {
+        if (Math.abs(getAngularAcceleration(angle, 0, h, simulationTime)) <= dampingCoefficient) return;
+        isStuck = false;
+    }
 
     const velocityBeforeUpdate = angularVelocity;
+    const angleBeforeUpdate = angle;
 
-    angle += (dt / 6) * (k1x + 2 * k2x + 2 * k3x + k4x);
-    angularVelocity += (dt / 6) * (k1v + 2 * k2v + 2 * k3v + k4v);
+    [angle, angularVelocity] = integrateStep(angle, angularVelocity, dt, h, simulationTime);
 
     // Count periods: a period completes when the ruler returns to its starting position
     // This occurs when the ruler reaches its maximum positive angle (turning point)
@@ -116,11 +598,84 @@ function updatePhysics(dt) {
         hasStartedSwinging = true;
     }
 
+    // Oscillations are judged on the wrapped angle, so they still count after a rotation
+    const wrappedBefore = wrapAngle(angleBeforeUpdate);
+    const wrapped = wrapAngle(angle);
+
     // Detect turning point: velocity was positive, now negative (or zero), and angle is positive
     // This means the ruler has returned to its starting position
-    if (hasStartedSwinging && velocityBeforeUpdate > 0 && angularVelocity <= 0 && angle > 0) {
+    // A swing released mid-stroke only starts counting at its first turning point
+    if (hasStartedSwinging && velocityBeforeUpdate > 0 && angularVelocity <= 0 && wrapped > 0) {
+        if (countStartTime === null) {
+            countStartTime = simulationTime + dt;
+        } else {
+            completedPeriods++;
+        }
+    }
+
+    // A rotating body never turns back: each full revolution counts as one period
+    const revolutions = Math.floor(Math.abs(angle - launchAngle) / (2 * Math.PI));
+    if (revolutions > completedRevolutions) {
+        completedRevolutions = revolutions;
         completedPeriods++;
     }
+
+    // Photogate: the beam on the equilibrium line is crossed whenever θ changes sign near the bottom
+    // Interpolate the crossing inside the step, then round to the timer resolution
+    const nearBottom = Math.abs(wrappedBefore) < Math.PI / 2 && Math.abs(wrapped) < Math.PI / 2;
+    if (nearBottom && wrappedBefore !== 0 && Math.sign(wrapped) !== Math.sign(wrappedBefore)) {
+        const fraction = wrappedBefore / (wrappedBefore - wrapped);
+        const crossingTime = simulationTime + fraction * dt;
+        const direction = Math.sign(angularVelocity);
+        photogateCrossings.push(Math.round(crossingTime / photogateResolution) * photogateResolution);
+        photogateDirections.push(direction);
+
+        // The undamped analytic solution released from rest crosses at T/4, 3T/4, 5T/4, ...
+        if (launchedFromRest && experimentMode !== 'driven') {
+            const exactT = getExactPeriod(h, initialAngle);
+            const analyticTime = exactT * (0.25 + 0.5 * (photogateCrossings.length - 1));
+            phaseErrorLog.push({ t: crossingTime, error: 360 * (crossingTime - analyticTime) / exactT });
+        }
+
+        // One full period ends at the next crossing in the same direction
+        // (two crossings later when swinging, the very next one when rotating)
+        const n = photogateCrossings.length;
+        if (n > 1 && direction === photogateDirections[lastPeriodCrossing]) {
+            photogatePeriods.push(photogateCrossings[n - 1] - photogateCrossings[lastPeriodCrossing]);
+            lastPeriodCrossing = n - 1;
+        }
+
+        // Poincaré section θ = 0, upward
+        if (direction > 0 && experimentMode !== 'driven') {
+            poincarePoints.push({ theta: 0, omega: angularVelocity });
+        }
+    }
+
+    // Driven: track the largest swing of every drive cycle
+    if (experimentMode === 'driven') {
+        driveCycleMax = Math.max(driveCycleMax, Math.abs(wrapped));
+        const cycleBefore = Math.floor((simulationTime - driveStartTime) * driveFrequency);
+        const cycleAfter = Math.floor((simulationTime + dt - driveStartTime) * driveFrequency);
+        if (cycleAfter > cycleBefore) {
+            driveCycleAmplitudes.push(driveCycleMax);
+            driveCycleMax = 0;
+
+            // Stroboscopic Poincaré section: one point per drive period
+            poincarePoints.push({ theta: wrapped, omega: angularVelocity });
+        }
+    }
+
+    // Log every turning point (either side) for the decay envelope
+    if (velocityBeforeUpdate !== 0 && Math.sign(angularVelocity) !== Math.sign(velocityBeforeUpdate)) {
+        amplitudeLog.push({ t: simulationTime + dt, amplitude: Math.abs(wrapped) });
+
+        // At a turning point, friction sticks the body if gravity (and the drive) cannot overcome it
+        const appliedAcceleration = Math.abs(getAngularAcceleration(angle, 0, h, simulationTime + dt));
+        if (dampingModel === 'friction' && appliedAcceleration <= dampingCoefficient) {
+            angularVelocity = 0;
+            isStuck = true;
+        }
+    }
 }
 
 // Draw the pendulum
@@ -128,12 +683,14 @@ function draw() {
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
     // Pivot point position on canvas
-    const pivotX = canvas.width / 2;
+    // A shaken pivot moves sideways under the fixed support (positive x is to the left, like θ)
+    const supportX = canvas.width / 2;
+    const pivotX = supportX - getPivotDisplacement(simulationTime) * scale;
     const pivotY = 80;
 
     // Draw support structure
     ctx.fillStyle = '#444';
-    ctx.fillRect(pivotX - 60, 10, 120, 20);
+    ctx.fillRect(supportX - 60, 10, 120, 20);
     ctx.fillStyle = '#666';
     ctx.beginPath();
     ctx.arc(pivotX, pivotY, 8, 0, Math.PI * 2);
@@ -143,27 +700,64 @@ function draw() {
     ctx.strokeStyle = '#888';
     ctx.lineWidth = 3;
     ctx.beginPath();
-    ctx.moveTo(pivotX, 30);
+    ctx.moveTo(supportX, 30);
     ctx.lineTo(pivotX, pivotY);
     ctx.stroke();
 
-    // Calculate ruler position
-    // The ruler rotates around the pivot point
+    // The body rotates around the pivot point
     // The pivot is at distance h from the center of mass
     const h = pivotDistance;
 
-    // Ruler dimensions in pixels
-    const rulerLengthPx = rulerLength * scale;
-    const rulerWidth = 30;
-
     // Save context for rotation
     ctx.save();
     ctx.translate(pivotX, pivotY);
     ctx.rotate(angle);
 
-    // Draw ruler (pivot is at distance h from center)
     // Center of mass should be BELOW the pivot, so positive Y in local coords
-    const centerOffset = h * scale;
+    bodies[bodyKey].draw(h * scale);
+
+    // Draw pivot hole indicator
+    ctx.fillStyle = '#555';
+    ctx.beginPath();
+    ctx.arc(0, 0, 4, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.restore();
+
+    // Draw photogate on the equilibrium line at the center-of-mass level
+    if (timingMode === 'photogate') {
+        drawPhotogate(supportX, pivotY + h * scale);
+    }
+
+    // Draw period counter, or the drive and its current amplitude when driven
+    ctx.fillStyle = '#00d4ff';
+    ctx.font = '16px Arial';
+    ctx.textAlign = 'left';
+    if (experimentMode === 'driven') {
+        const lastCycle = driveCycleAmplitudes[driveCycleAmplitudes.length - 1];
+        const amplitudeText = lastCycle !== undefined ? (lastCycle * 180 / Math.PI).toFixed(2) + '°' : '-';
+        ctx.fillText(`Drive: ${driveFrequency.toFixed(3)} Hz   Amplitude: ${amplitudeText}`, 20, canvas.height - 20);
+    } else {
+        ctx.fillText(`Periods: ${completedPeriods} / ${targetPeriods}`, 20, canvas.height - 20);
+    }
+
+    // Draw theoretical period
+    // The small-angle value drifts from the measurement as θ₀ grows; the exact value does not
+    const theoreticalT = getTheoreticalPeriod(pivotDistance);
+    const exactT = getExactPeriodFromEnergy(pivotDistance, initialEnergy);
+    const exactLabel = initialAngle >= 180 ? 'Theoretical T (exact, revolution)' : 'Theoretical T (exact)';
+    ctx.fillStyle = '#888';
+    ctx.font = '12px Arial';
+    ctx.fillText(`${exactLabel}: ${Number.isFinite(exactT) ? exactT.toFixed(3) : '∞'} s`, 20, canvas.height - 45);
+    ctx.fillText(`Theoretical T (small angle): ${theoreticalT.toFixed(3)} s`, 20, canvas.height - 63);
+}
+
+// Draw the meter stick in pivot-local coordinates
+// centerOffset is the distance (px) from the pivot down to the center of mass
+function drawRuler(centerOffset) {
+    // Ruler dimensions in pixels
+    const rulerLengthPx = rulerLength * scale;
+    const rulerWidth = 30;
 
     // Ruler background
     ctx.fillStyle = '#c9a868';
@@ -205,26 +799,97 @@ function draw() {
             ctx.fillText(i.toString(), 0, yDown + 10);
         }
     }
+}
 
-    // Draw pivot hole indicator
-    ctx.fillStyle = '#555';
+// Draw the drilled holes of the current body along its vertical center line
+// Holes lie above the center of mass, one of them sits on the pivot
+function drawHoles(centerOffset) {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    bodies[bodyKey].holes.forEach(d => {
+        ctx.beginPath();
+        ctx.arc(0, centerOffset - d * scale, 3, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    // Center of mass mark
+    ctx.fillStyle = '#ff0000';
     ctx.beginPath();
-    ctx.arc(0, 0, 4, 0, Math.PI * 2);
+    ctx.arc(0, centerOffset, 3, 0, Math.PI * 2);
     ctx.fill();
+}
 
-    ctx.restore();
+// Draw the solid disk in pivot-local coordinates
+function drawDisk(centerOffset) {
+    ctx.fillStyle = '#9aa5b1';
+    ctx.beginPath();
+    ctx.arc(0, centerOffset, diskRadius * scale, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = '#5c6670';
+    ctx.lineWidth = 2;
+    ctx.stroke();
 
-    // Draw period counter
-    ctx.fillStyle = '#00d4ff';
-    ctx.font = '16px Arial';
-    ctx.textAlign = 'left';
-    ctx.fillText(`Periods: ${completedPeriods} / ${targetPeriods}`, 20, canvas.height - 20);
+    drawHoles(centerOffset);
+}
 
-    // Draw theoretical period
-    const theoreticalT = getTheoreticalPeriod(pivotDistance);
-    ctx.fillStyle = '#888';
-    ctx.font = '12px Arial';
-    ctx.fillText(`Theoretical T: ${theoreticalT.toFixed(3)} s`, 20, canvas.height - 45);
+// Draw the ring in pivot-local coordinates
+function drawRing(centerOffset) {
+    ctx.fillStyle = '#b08d57';
+    ctx.beginPath();
+    ctx.arc(0, centerOffset, ringOuterRadius * scale, 0, Math.PI * 2);
+    ctx.arc(0, centerOffset, ringInnerRadius * scale, 0, Math.PI * 2, true);
+    ctx.fill();
+    ctx.strokeStyle = '#7a5c2e';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(0, centerOffset, ringOuterRadius * scale, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(0, centerOffset, ringInnerRadius * scale, 0, Math.PI * 2);
+    ctx.stroke();
+
+    // Holes only exist in the band; the center of mass lies in empty space
+    drawHoles(centerOffset);
+}
+
+// Draw the rectangular plate in pivot-local coordinates
+function drawPlate(centerOffset) {
+    const lengthPx = plateLength * scale;
+    const widthPx = plateWidth * scale;
+
+    ctx.fillStyle = '#7f9c8b';
+    ctx.fillRect(-widthPx / 2, centerOffset - lengthPx / 2, widthPx, lengthPx);
+    ctx.strokeStyle = '#4d6356';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(-widthPx / 2, centerOffset - lengthPx / 2, widthPx, lengthPx);
+
+    drawHoles(centerOffset);
+}
+
+// Draw the photogate and the equilibrium line it sits on
+// The beam glows while the center of mass is inside it
+function drawPhotogate(gateX, gateY) {
+    const gateHalfWidth = 10;
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(gateX, 80);
+    ctx.lineTo(gateX, canvas.height - 80);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    const offset = pivotDistance * scale * Math.sin(angle);
+    const blocked = Math.abs(offset) < 2;
+
+    ctx.fillStyle = '#222';
+    ctx.fillRect(gateX - gateHalfWidth - 6, gateY - 12, 6, 24);
+    ctx.fillRect(gateX + gateHalfWidth, gateY - 12, 6, 24);
+
+    ctx.fillStyle = blocked ? '#ff4444' : '#661111';
+    ctx.beginPath();
+    ctx.arc(gateX - gateHalfWidth - 3, gateY, 3, 0, Math.PI * 2);
+    ctx.fill();
 }
 
 // Animation loop
@@ -241,25 +906,85 @@ function animate(timestamp) {
     lastFrameTime = timestamp;
 
     // Update physics with proper time sync
-    // Use fixed timestep for physics stability, but match real elapsed time
-    const dt = 0.0005; // 0.5ms time step for accuracy
-    const steps = Math.round(frameElapsed / dt);
-    const maxSteps = 100; // Prevent spiral of death if frame takes too long
-    const actualSteps = Math.min(steps, maxSteps);
-
-    for (let i = 0; i < actualSteps; i++) {
-        updatePhysics(dt);
-        simulationTime += dt;
+    // Use the selected fixed timestep, carrying any remainder over to the next frame
+    stepAccumulator += Math.min(frameElapsed, maxFrameTime) * (sweepFrequencies ? sweepSpeedup : 1);
+    while (stepAccumulator >= timeStep) {
+        updatePhysics(timeStep);
+        simulationTime += timeStep;
+        stepAccumulator -= timeStep;
+
+        // Sample the traces on the simulated clock, however many steps a frame takes
+        if (simulationTime >= nextTraceSample) {
+            angleTrace.push({ t: simulationTime, angle: wrapAngle(angle) });
+            phaseTrace.push({ t: simulationTime, theta: wrapAngle(angle), omega: angularVelocity });
+            nextTraceSample += traceSampleInterval;
+        }
+    }
+    while (angleTrace[0].t < simulationTime - traceWindow) {
+        angleTrace.shift();
+    }
+    while (phaseTrace[0].t < simulationTime - traceWindow) {
+        phaseTrace.shift();
+    }
+    energyLog.push({
+        t: simulationTime,
+        drift: (getMechanicalEnergy(angle, angularVelocity, pivotDistance) - initialEnergy) / initialEnergy * 100
+    });
+    if (energyLog.length > maxEnergyLogPoints) {
+        energyLog = energyLog.filter((p, i) => i % 2 === 0 || i === energyLog.length - 1);
     }
 
     // Update timer display
-    timerValue.textContent = simulationTime.toFixed(3) + ' s';
+    // A manual stopwatch only shows time between the student's presses
+    // A photogate starts timing at its first beam crossing
+    if (timingMode === 'manual') {
+        const elapsed = stopwatchState === 'running' ? Math.max(0, simulationTime - stopwatchStart) : 0;
+        timerValue.textContent = elapsed.toFixed(2) + ' s';
+    } else if (timingMode === 'photogate') {
+        const elapsed = photogateCrossings.length > 0 ? simulationTime - photogateCrossings[0] : 0;
+        timerValue.textContent = elapsed.toFixed(4) + ' s';
+    } else {
+        timerValue.textContent = simulationTime.toFixed(3) + ' s';
+    }
 
     // Draw
     draw();
+    drawDecayPlot(null);
+    drawDiagnostics();
+    drawPhasePortrait();
+
+    // Driven runs end at steady state instead of after a number of periods
+    if (experimentMode === 'driven') {
+        if (isDriveSteady() && !recordSteadyState()) return;
+        animationId = requestAnimationFrame(animate);
+        return;
+    }
+
+    // A body held by pivot friction will never finish its periods
+    if (isStuck) {
+        stopSimulation();
+        showDampingAnalysis(null);
+        alert(`The pendulum came to rest after ${completedPeriods} periods. Reduce the friction or the number of periods.`);
+        return;
+    }
+
+    if (timingMode === 'photogate' && photogatePeriods.length !== photogateTableBody.children.length) {
+        updatePhotogateTable();
+    }
 
     // Check if target periods reached
-    if (completedPeriods >= targetPeriods) {
+    // In manual mode the student decides when to stop the stopwatch
+    if (timingMode === 'auto' && completedPeriods >= targetPeriods) {
+        measuredTime = simulationTime - countStartTime;
+        stopSimulation();
+        showResults();
+        return;
+    }
+
+    if (timingMode === 'photogate' && photogatePeriods.length >= targetPeriods) {
+        const stats = getStatistics(photogatePeriods);
+        measuredTime = photogateCrossings[lastPeriodCrossing] - photogateCrossings[0];
+        measuredError = stats.stdError;
         stopSimulation();
         showResults();
         return;
@@ -268,6 +993,120 @@ function animate(timestamp) {
     animationId = requestAnimationFrame(animate);
 }
 
+// Check whether the driven motion has settled to a steady amplitude
+function isDriveSteady() {
+    const n = driveCycleAmplitudes.length;
+    if (n >= maxSettleCycles) {
+        steadyReached = false;
+        return true;
+    }
+    if (n < Math.max(minSettleCycles, steadyWindow)) return false;
+
+    const recent = driveCycleAmplitudes.slice(-steadyWindow);
+    const largest = Math.max(...recent);
+    steadyReached = largest - Math.min(...recent) <= steadyTolerance * largest;
+    return steadyReached;
+}
+
+// Take the steady amplitude, then either finish the run or step the sweep to the next frequency
+// Returns true while the sweep carries on
+function recordSteadyState() {
+    const recent = driveCycleAmplitudes.slice(-steadyWindow);
+    steadyAmplitude = recent.reduce((sum, a) => sum + a, 0) / recent.length;
+
+    if (!sweepFrequencies) {
+        stopSimulation();
+        showDrivenResults();
+        return false;
+    }
+
+    storedData.push(getResonanceRow());
+    sortData();
+    updateTable();
+
+    sweepIndex++;
+    if (sweepIndex >= sweepFrequencies.length) {
+        sweepStatus.textContent = `Sweep complete: ${sweepFrequencies.length} frequencies recorded`;
+        sweepFrequencies = null;
+        stopSimulation();
+        analyzeData();
+        return false;
+    }
+
+    setDriveFrequency(sweepFrequencies[sweepIndex]);
+    return true;
+}
+
+// Switch the drive to a new frequency without resetting the motion, as turning the knob would
+function setDriveFrequency(frequency) {
+    driveFrequency = frequency;
+    driveStartTime = simulationTime;
+    driveCycleMax = 0;
+    driveCycleAmplitudes = [];
+    driveFrequencySlider.value = frequency;
+    driveFrequencyValueSpan.textContent = frequency.toFixed(3);
+    if (sweepFrequencies) {
+        sweepStatus.textContent = `Sweep ${sweepIndex + 1} / ${sweepFrequencies.length}: f = ${frequency.toFixed(3)} Hz`;
+    }
+}
+
+// An undamped driven pendulum never settles to a steady amplitude, so driven runs need damping (a zero coefficient is undamped too)
+// Alerts and returns false without it
+function checkDrivenDamping() {
+    if (dampingModelSelect.value === 'none' || !(parseFloat(dampingCoefficientSlider.value) > 0)) {
+        alert('An undamped pendulum never settles to a steady amplitude. Choose a damping model and a coefficient above 0 first.');
+        return false;
+    }
+    return true;
+}
+
+// Step the drive frequency across the resonance, recording each steady amplitude into the table
+function startSweep() {
+    if (isRunning) return;
+
+    if (!checkDrivenDamping()) return;
+
+    const span = parseFloat(sweepSpanInput.value) / 100;
+    const steps = parseInt(sweepStepsInput.value);
+    if (!(span > 0 && span < 1) || !(steps >= 4)) {
+        alert('The sweep needs a range between 0 and 100% of f₀ and at least 4 steps.');
+        return;
+    }
+
+    init();
+
+    const conflict = getResonanceTableConflict();
+    if (conflict) {
+        alert(conflict);
+        return;
+    }
+
+    // Evenly spaced frequencies across f₀(1 ± span)
+    const f0 = 1 / getTheoreticalPeriod(pivotDistance);
+    sweepFrequencies = [];
+    for (let i = 0; i < steps; i++) {
+        const frequency = f0 * (1 - span + 2 * span * i / (steps - 1));
+        sweepFrequencies.push(Math.round(frequency * 1000) / 1000);
+    }
+    sweepIndex = 0;
+    setDriveFrequency(sweepFrequencies[0]);
+
+    startSimulation();
+}
+
+// Release from an arbitrary phase point, fast enough to go over the top if chosen
+function launchFromPhasePoint(theta, omega) {
+    if (experimentMode === 'driven' && !checkDrivenDamping()) return;
+
+    stopSimulation();
+    init({ angle: theta, omega });
+
+    // The bottom of the well at rest has nothing to simulate
+    if (initialEnergy <= 0) return;
+
+    startSimulation();
+}
+
 // Start simulation
 function startSimulation() {
     if (isRunning) return;
@@ -277,7 +1116,22 @@ function startSimulation() {
     releaseBtn.disabled = true;
     pivotDistanceSelect.disabled = true;
     initialAngleSlider.disabled = true;
+    experimentModeSelect.disabled = true;
+    bodyShapeSelect.disabled = true;
     periodCountInput.disabled = true;
+    timingModeSelect.disabled = true;
+    reactionJitterSlider.disabled = true;
+    dampingModelSelect.disabled = true;
+    dampingCoefficientSlider.disabled = true;
+    integratorSelect.disabled = true;
+    timeStepSelect.disabled = true;
+    driveTypeSelect.disabled = true;
+    driveAmplitudeSlider.disabled = true;
+    driveFrequencySlider.disabled = true;
+    sweepSpanInput.disabled = true;
+    sweepStepsInput.disabled = true;
+    sweepBtn.disabled = true;
+    updateStopwatchButton();
 
     animationId = requestAnimationFrame(animate);
 }
@@ -292,51 +1146,306 @@ function stopSimulation() {
     releaseBtn.disabled = false;
     pivotDistanceSelect.disabled = false;
     initialAngleSlider.disabled = false;
+    experimentModeSelect.disabled = false;
+    bodyShapeSelect.disabled = false;
     periodCountInput.disabled = false;
+    timingModeSelect.disabled = false;
+    reactionJitterSlider.disabled = false;
+    dampingModelSelect.disabled = false;
+    dampingCoefficientSlider.disabled = false;
+    integratorSelect.disabled = false;
+    timeStepSelect.disabled = false;
+    driveTypeSelect.disabled = false;
+    driveAmplitudeSlider.disabled = false;
+    driveFrequencySlider.disabled = false;
+    sweepSpanInput.disabled = false;
+    sweepStepsInput.disabled = false;
+    sweepBtn.disabled = false;
+    updateStopwatchButton();
+}
+
+// Update stopwatch button label and availability
+function updateStopwatchButton() {
+    stopwatchBtn.style.display = timingMode === 'manual' ? 'block' : 'none';
+    stopwatchBtn.disabled = !isRunning || stopwatchState === 'stopped';
+    stopwatchBtn.textContent = stopwatchState === 'running' ? 'Stop Stopwatch' : 'Start Stopwatch';
+    stopwatchBtn.classList.toggle('running', stopwatchState === 'running');
+}
+
+// Handle a press of the manual stopwatch button
+function pressStopwatch() {
+    if (!isRunning || timingMode !== 'manual') return;
+
+    if (stopwatchState === 'idle') {
+        // Count periods from the moment the student starts timing
+        stopwatchStart = getPressTime();
+        completedPeriods = 0;
+        stopwatchState = 'running';
+        updateStopwatchButton();
+    } else if (stopwatchState === 'running') {
+        measuredTime = Math.max(0, getPressTime() - stopwatchStart);
+        // Two independent presses, spread over the measured periods
+        measuredError = Math.SQRT2 * reactionJitter / targetPeriods;
+        stopwatchState = 'stopped';
+        timerValue.textContent = measuredTime.toFixed(2) + ' s';
+        stopSimulation();
+        showResults();
+    }
 }
 
 // Show results
 function showResults() {
-    const avgPeriod = simulationTime / targetPeriods;
+    const avgPeriod = measuredTime / targetPeriods;
 
     resultH.textContent = pivotDistance;
     resultPeriods.textContent = targetPeriods;
-    resultTotalTime.textContent = simulationTime.toFixed(3);
+    if (timingMode === 'manual') {
+        resultTiming.textContent = `Manual (σ = ${(reactionJitter * 1000).toFixed(0)} ms)`;
+    } else if (timingMode === 'photogate') {
+        resultTiming.textContent = 'Photogate';
+    } else {
+        resultTiming.textContent = 'Automatic';
+    }
+    resultTotalTime.textContent = measuredTime.toFixed(3);
     resultAvgPeriod.textContent = avgPeriod.toFixed(4);
+    periodResults.style.display = 'block';
+    drivenResults.style.display = 'none';
+    resultErrorRow.style.display = measuredError !== null ? 'block' : 'none';
+    resultError.textContent = measuredError !== null ? measuredError.toFixed(5) : '-';
 
     resultsDisplay.style.display = 'block';
+
+    showDampingAnalysis(avgPeriod);
 }
 
-// Store result in table
-function storeResult() {
-    const avgPeriod = simulationTime / targetPeriods;
+// Show the steady-state amplitude of a single driven run
+function showDrivenResults() {
+    document.getElementById('drivenFrequency').textContent = driveFrequency.toFixed(3);
+    document.getElementById('drivenAmplitude').textContent = (steadyAmplitude * 180 / Math.PI).toFixed(2);
+    document.getElementById('drivenSettleTime').textContent = (simulationTime - driveStartTime).toFixed(1);
+    document.getElementById('drivenSettled').textContent = steadyReached
+        ? 'Yes'
+        : `No (stopped after ${maxSettleCycles} drive cycles)`;
+
+    periodResults.style.display = 'none';
+    drivenResults.style.display = 'block';
+    resultsDisplay.style.display = 'block';
+}
 
-    storedData.push({
-        h: pivotDistance,
-        T: avgPeriod
-    });
+// Refresh the per-period photogate log and its summary statistics
+function updatePhotogateTable() {
+    photogateTableBody.innerHTML = '';
 
-    // Sort by h (cm) ascending
-    storedData.sort((a, b) => a.h - b.h);
+    photogatePeriods.forEach((period, index) => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${index + 1}</td>
+            <td>${period.toFixed(4)}</td>
+        `;
+        photogateTableBody.appendChild(row);
+    });
 
-    updateTable();
+    const stats = photogatePeriods.length > 0 ? getStatistics(photogatePeriods) : null;
+    document.getElementById('photogateMean').textContent = stats ? stats.mean.toFixed(4) : '-';
+    document.getElementById('photogateStdDev').textContent = stats ? stats.stdDev.toFixed(5) : '-';
+    document.getElementById('photogateStdError').textContent = stats ? stats.stdError.toFixed(5) : '-';
 }
 
-// Remove a single data entry
-function removeData(index) {
-    storedData.splice(index, 1);
-    updateTable();
+// Fit the turning-point amplitudes to the decay law of the selected model
+// Each law becomes a straight line in t: ln A (viscous), 1/A (air drag) or A (friction)
+function fitDecay() {
+    if (dampingModel === 'none' || amplitudeLog.length < 3) return null;
+
+    const omega0 = 2 * Math.PI / getTheoreticalPeriod(pivotDistance);
+    const A0 = amplitudeLog[0].amplitude;
+    const tData = amplitudeLog.map(p => p.t);
+    let fit;
+
+    switch (dampingModel) {
+        case 'viscous': {
+            // A = A₀e^(-bt/2), Q = ω₀/b
+            fit = linearRegression(tData, amplitudeLog.map(p => Math.log(p.amplitude)));
+            if (!fit) return null;
+            const b = -2 * fit.slope;
+            return {
+                fit, coefficient: b, Q: omega0 / b,
+                envelope: (t) => Math.exp(fit.intercept + fit.slope * t)
+            };
+        }
+        case 'quadratic': {
+            // d(1/A)/dt = (4/(3π))cω₀, Q = 3π/(8cA₀)
+            fit = linearRegression(tData, amplitudeLog.map(p => 1 / p.amplitude));
+            if (!fit) return null;
+            const c = 3 * Math.PI * fit.slope / (4 * omega0);
+            return {
+                fit, coefficient: c, Q: 3 * Math.PI / (8 * c * A0),
+                envelope: (t) => 1 / (fit.intercept + fit.slope * t)
+            };
+        }
+        case 'friction': {
+            // dA/dt = -2μ/(πω₀), Q = πω₀²A₀/(4μ)
+            fit = linearRegression(tData, amplitudeLog.map(p => p.amplitude));
+            if (!fit) return null;
+            const mu = -Math.PI * omega0 * fit.slope / 2;
+            return {
+                fit, coefficient: mu, Q: Math.PI * omega0 * omega0 * A0 / (4 * mu),
+                envelope: (t) => Math.max(0, fit.intercept + fit.slope * t)
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+// Show the decay fit and compare the measured period with the undamped one
+function showDampingAnalysis(avgPeriod) {
+    const decay = fitDecay();
+    drawDecayPlot(decay);
+
+    if (dampingModel === 'none') return;
+
+    const unit = dampingModels[dampingModel].unit;
+    const undampedT = getExactPeriodFromEnergy(pivotDistance, initialEnergy);
+
+    document.getElementById('dampingModelResult').textContent = dampingModels[dampingModel].label;
+    document.getElementById('dampingFitCoefficient').textContent = decay
+        ? `${decay.coefficient.toFixed(3)} ${unit} (set: ${dampingCoefficient.toFixed(3)} ${unit})`
+        : 'need at least 3 turning points';
+    document.getElementById('dampingQ').textContent = decay ? decay.Q.toFixed(1) : '-';
+    document.getElementById('dampingUndampedT').textContent = undampedT.toFixed(4);
+    document.getElementById('dampingPeriodShift').textContent = avgPeriod
+        ? ((avgPeriod - undampedT) / undampedT * 100).toFixed(3)
+        : '-';
+
+    dampingResults.style.display = 'block';
+}
+
+// One point of the resonance curve for the current run
+function getResonanceRow() {
+    return {
+        body: bodyKey,
+        h: pivotDistance,
+        damping: dampingModel,
+        b: dampingCoefficient,
+        driveType,
+        driveAmplitude,
+        f: driveFrequency,
+        amplitude: steadyAmplitude * 180 / Math.PI
+    };
+}
+
+// A resonance curve needs every row taken with the same apparatus, damping and drive strength
+function getResonanceTableConflict() {
+    const mismatch = storedData.some(d =>
+        d.body !== bodyKey || d.h !== pivotDistance || d.damping !== dampingModel || d.b !== dampingCoefficient ||
+        d.driveType !== driveType || d.driveAmplitude !== driveAmplitude
+    );
+    return mismatch
+        ? 'All rows of a resonance curve must use the same body, pivot distance, damping and drive amplitude. Clear the table first.'
+        : null;
+}
+
+// Store result in table
+function storeResult() {
+    if (experimentMode === 'driven') {
+        const conflict = getResonanceTableConflict();
+        if (conflict) {
+            alert(conflict);
+            return;
+        }
+        storedData.push(getResonanceRow());
+        sortData();
+        updateTable();
+        return;
+    }
+
+    const avgPeriod = measuredTime / targetPeriods;
+
+    // An amplitude sweep only makes sense at a single pivot distance
+    if (experimentMode === 'amplitude' && storedData.some(d => d.h !== pivotDistance || d.body !== bodyKey)) {
+        alert('All rows of a T vs θ₀ sweep must use the same body and pivot distance. Clear the table first.');
+        return;
+    }
+
+    // Each body has its own I_cm, so a linearization cannot mix them
+    if (storedData.some(d => d.body !== bodyKey)) {
+        alert('All rows must use the same body. Clear the table first.');
+        return;
+    }
+
+    storedData.push({
+        body: bodyKey,
+        h: pivotDistance,
+        theta0: initialAngle,
+        T: avgPeriod,
+        dT: measuredError
+    });
+
+    sortData();
+    updateTable();
+}
+
+// Sort by the independent variable of the current experiment
+function sortData() {
+    if (experimentMode === 'driven') {
+        storedData.sort((a, b) => a.f - b.f);
+    } else if (experimentMode === 'amplitude') {
+        storedData.sort((a, b) => a.theta0 - b.theta0 || a.h - b.h);
+    } else {
+        storedData.sort((a, b) => a.h - b.h || a.theta0 - b.theta0);
+    }
+}
+
+// Remove a single data entry
+function removeData(index) {
+    storedData.splice(index, 1);
+    updateTable();
 }
 
 // Update data table
 function updateTable() {
     dataTableBody.innerHTML = '';
 
+    if (experimentMode === 'driven') {
+        dataTableHead.innerHTML = `
+            <th>Body</th>
+            <th>h (cm)</th>
+            <th>Drive</th>
+            <th>f (Hz)</th>
+            <th>Amplitude (°)</th>
+            <th>Action</th>
+        `;
+        storedData.forEach((data, index) => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${bodies[data.body].label}</td>
+                <td>${data.h}</td>
+                <td>${driveTypes[data.driveType].label} ${data.driveAmplitude.toFixed(2)} ${driveTypes[data.driveType].unit}</td>
+                <td>${data.f.toFixed(3)}</td>
+                <td>${data.amplitude.toFixed(3)}</td>
+                <td><button class="btn-remove" onclick="removeData(${index})">Remove</button></td>
+            `;
+            dataTableBody.appendChild(row);
+        });
+        return;
+    }
+
+    dataTableHead.innerHTML = `
+        <th>Body</th>
+        <th>h (cm)</th>
+        <th>θ₀ (°)</th>
+        <th>T (s)</th>
+        <th>δT (s)</th>
+        <th>Action</th>
+    `;
     storedData.forEach((data, index) => {
         const row = document.createElement('tr');
         row.innerHTML = `
+            <td>${bodies[data.body].label}</td>
             <td>${data.h}</td>
+            <td>${data.theta0}</td>
             <td>${data.T.toFixed(4)}</td>
+            <td>${data.dT !== null ? data.dT.toFixed(5) : '-'}</td>
             <td><button class="btn-remove" onclick="removeData(${index})">Remove</button></td>
         `;
         dataTableBody.appendChild(row);
@@ -356,10 +1465,20 @@ function exportData() {
         return;
     }
 
-    let csv = 'h (cm),T (s)\n';
-    storedData.forEach(data => {
-        csv += `${data.h},${data.T.toFixed(4)}\n`;
-    });
+    let csv;
+    if (experimentMode === 'driven') {
+        csv = 'body,h (cm),damping,damping coefficient,drive,drive amplitude,f (Hz),amplitude (deg)\n';
+        storedData.forEach(data => {
+            csv += `${data.body},${data.h},${data.damping},${data.b},${data.driveType},${data.driveAmplitude},` +
+                `${data.f.toFixed(3)},${data.amplitude.toFixed(4)}\n`;
+        });
+    } else {
+        csv = 'body,h (cm),theta0 (deg),T (s),dT (s)\n';
+        storedData.forEach(data => {
+            const dT = data.dT !== null ? data.dT.toFixed(5) : '';
+            csv += `${data.body},${data.h},${data.theta0},${data.T.toFixed(4)},${dT}\n`;
+        });
+    }
 
     const blob = new Blob([csv], { type: 'text/csv' });
     const url = URL.createObjectURL(blob);
@@ -370,7 +1489,69 @@ function exportData() {
     URL.revokeObjectURL(url);
 }
 
+// Switch between the T vs h, T vs θ₀ and resonance experiments
+function setExperimentMode(mode) {
+    experimentMode = mode;
+    driveGroup.style.display = mode === 'driven' ? 'block' : 'none';
+    poincareLabel.textContent = mode === 'driven'
+        ? 'Poincaré section only (stroboscopic, once per drive period)'
+        : 'Poincaré section only (θ = 0, ω > 0)';
+
+    initialAngleSlider.max = mode === 'amplitude' ? maxAngleLarge : maxAngleSmall;
+    if (parseInt(initialAngleSlider.value) > parseInt(initialAngleSlider.max)) {
+        initialAngleSlider.value = initialAngleSlider.max;
+    }
+    angleValueSpan.textContent = initialAngleSlider.value + '°';
+
+    analysisTabs.style.display = mode === 'pivot' ? 'flex' : 'none';
+    uncertaintyControls.style.display = mode === 'pivot' ? 'flex' : 'none';
+    updateAnalysisInfo();
+    analysisResults.style.display = 'none';
+
+    sortData();
+    updateTable();
+}
+
+// Show the coefficient slider and unit for the selected damping model
+function updateDampingControls() {
+    const model = dampingModelSelect.value;
+    dampingGroup.style.display = model === 'none' ? 'none' : 'block';
+    dampingUnitSpan.textContent = dampingModels[model].unit;
+    dampingValueSpan.textContent = parseFloat(dampingCoefficientSlider.value).toFixed(2);
+}
+
+// Show the drive amplitude unit and the slider values
+function updateDriveControls() {
+    driveAmplitudeUnitSpan.textContent = driveTypes[driveTypeSelect.value].unit;
+    driveAmplitudeValueSpan.textContent = parseFloat(driveAmplitudeSlider.value).toFixed(2);
+    driveFrequencyValueSpan.textContent = parseFloat(driveFrequencySlider.value).toFixed(3);
+}
+
 // Event listeners
+experimentModeSelect.addEventListener('change', () => {
+    if (isRunning) return;
+
+    // Resonance rows and period rows cannot share the table
+    const mode = experimentModeSelect.value;
+    if (storedData.length > 0 && (mode === 'driven') !== (experimentMode === 'driven')) {
+        if (!confirm('Resonance data and period data cannot share the table. Clear the recorded data?')) {
+            experimentModeSelect.value = experimentMode;
+            return;
+        }
+        storedData = [];
+    }
+
+    setExperimentMode(mode);
+    init();
+});
+
+bodyShapeSelect.addEventListener('change', () => {
+    if (isRunning) return;
+    bodyKey = bodyShapeSelect.value;
+    populatePivotOptions();
+    init();
+});
+
 pivotDistanceSelect.addEventListener('change', () => {
     if (!isRunning) init();
 });
@@ -380,6 +1561,68 @@ initialAngleSlider.addEventListener('input', () => {
     if (!isRunning) init();
 });
 
+timingModeSelect.addEventListener('change', () => {
+    reactionGroup.style.display = timingModeSelect.value === 'manual' ? 'block' : 'none';
+    if (!isRunning) init();
+});
+
+reactionJitterSlider.addEventListener('input', () => {
+    reactionValueSpan.textContent = reactionJitterSlider.value + ' ms';
+    if (!isRunning) init();
+});
+
+dampingModelSelect.addEventListener('change', () => {
+    updateDampingControls();
+    if (!isRunning) init();
+});
+
+dampingCoefficientSlider.addEventListener('input', () => {
+    updateDampingControls();
+    if (!isRunning) init();
+});
+
+integratorSelect.addEventListener('change', () => {
+    if (!isRunning) init();
+});
+
+timeStepSelect.addEventListener('change', () => {
+    if (!isRunning) init();
+});
+
+driveTypeSelect.addEventListener('change', () => {
+    updateDriveControls();
+    if (!isRunning) init();
+});
+
+driveAmplitudeSlider.addEventListener('input', () => {
+    updateDriveControls();
+    if (!isRunning) init();
+});
+
+driveFrequencySlider.addEventListener('input', () => {
+    updateDriveControls();
+    if (!isRunning) init();
+});
+
+sweepBtn.addEventListener('click', startSweep);
+
+poincareToggle.addEventListener('change', drawPhasePortrait);
+
+// Click on the phase portrait to release from that (θ, ω)
+portraitCanvas.addEventListener('click', (e) => {
+    const rect = portraitCanvas.getBoundingClientRect();
+    const px = (e.clientX - rect.left) * portraitCanvas.width / rect.width;
+    const py = (e.clientY - rect.top) * portraitCanvas.height / rect.height;
+    const { thetaMax, omegaMax } = getPhasePortraitRange();
+    const padding = 35;
+
+    const thetaDeg = -thetaMax + (px - padding) / (portraitCanvas.width - 2 * padding) * 2 * thetaMax;
+    const omega = omegaMax - (py - padding) / (portraitCanvas.height - 2 * padding) * 2 * omegaMax;
+    if (Math.abs(thetaDeg) > thetaMax || Math.abs(omega) > omegaMax) return;
+
+    launchFromPhasePoint(thetaDeg * Math.PI / 180, omega);
+});
+
 periodCountInput.addEventListener('change', () => {
     if (!isRunning) {
         targetPeriods = parseInt(periodCountInput.value);
@@ -388,6 +1631,9 @@ periodCountInput.addEventListener('change', () => {
 });
 
 releaseBtn.addEventListener('click', () => {
+    // A driven run waits for a steady amplitude, which needs damping
+    if (experimentMode === 'driven' && !checkDrivenDamping()) return;
+
     init();
     startSimulation();
 });
@@ -397,6 +1643,8 @@ resetBtn.addEventListener('click', () => {
     init();
 });
 
+stopwatchBtn.addEventListener('click', pressStopwatch);
+
 storeBtn.addEventListener('click', storeResult);
 clearTableBtn.addEventListener('click', clearTable);
 exportBtn.addEventListener('click', exportData);
@@ -404,44 +1652,225 @@ exportBtn.addEventListener('click', exportData);
 // Analysis elements
 const analyzeBtn = document.getElementById('analyzeBtn');
 const analysisResults = document.getElementById('analysisResults');
+const analysisInfo = document.getElementById('analysisInfo');
+const linearFitResults = document.getElementById('linearFitResults');
+const amplitudeResults = document.getElementById('amplitudeResults');
+const minimumResults = document.getElementById('minimumResults');
+const resonanceResults = document.getElementById('resonanceResults');
+const analysisTabs = document.getElementById('analysisTabs');
+const conjugatePeriodInput = document.getElementById('conjugatePeriod');
+const uncertaintyControls = document.getElementById('uncertaintyControls');
+const pivotUncertaintyInput = document.getElementById('pivotUncertainty');
+const defaultPeriodUncertaintyInput = document.getElementById('defaultPeriodUncertainty');
 const plotCanvas = document.getElementById('plotCanvas');
 const plotCtx = plotCanvas.getContext('2d');
 
 analyzeBtn.addEventListener('click', analyzeData);
 
+analysisTabs.querySelectorAll('.tab-btn').forEach(tab => {
+    tab.addEventListener('click', () => {
+        analysisTab = tab.dataset.tab;
+        analysisTabs.querySelectorAll('.tab-btn').forEach(t => {
+            t.classList.toggle('active', t === tab);
+        });
+        updateAnalysisInfo();
+
+        // Re-run the analysis for the new tab if results are already showing
+        if (analysisResults.style.display !== 'none') analyzeData();
+    });
+});
+
+conjugatePeriodInput.addEventListener('change', () => {
+    if (analysisResults.style.display !== 'none') analyzeData();
+});
+
+// Describe the analysis for the current experiment and tab
+function updateAnalysisInfo() {
+    if (experimentMode === 'driven') {
+        analysisInfo.textContent = 'Fit a Lorentzian A = A_max/√(1 + (2(f − f₀)/Γ)²) to the resonance curve to find f₀ and Q = f₀/Γ';
+    } else if (experimentMode === 'amplitude') {
+        analysisInfo.textContent = 'Plot T/T₀ vs θ₀ at fixed h and compare with the series expansion';
+    } else if (analysisTab === 'minimum') {
+        analysisInfo.textContent = 'Plot raw T vs h, fit T = 2π√((k² + h²)/(gh)) and locate the minimum period at h = k';
+    } else {
+        analysisInfo.textContent = 'Plot y = h² vs x = h·T² and perform linear fit to find g';
+    }
+}
+
 // Linear regression function
-function linearRegression(xData, yData) {
+// With per-point uncertainties sigmaData the fit is weighted by 1/σ²; without them
+// the standard errors come from the scatter of the residuals
+function linearRegression(xData, yData, sigmaData) {
     const n = xData.length;
     if (n < 2) return null;
 
-    let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0, sumY2 = 0;
+    const weights = sigmaData ? sigmaData.map(sigma => 1 / (sigma * sigma)) : new Array(n).fill(1);
+
+    let sumW = 0, sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
 
     for (let i = 0; i < n; i++) {
-        sumX += xData[i];
-        sumY += yData[i];
-        sumXY += xData[i] * yData[i];
-        sumX2 += xData[i] * xData[i];
-        sumY2 += yData[i] * yData[i];
+        const w = weights[i];
+        sumW += w;
+        sumX += w * xData[i];
+        sumY += w * yData[i];
+        sumXY += w * xData[i] * yData[i];
+        sumX2 += w * xData[i] * xData[i];
     }
 
-    const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
-    const intercept = (sumY - slope * sumX) / n;
+    const delta = sumW * sumX2 - sumX * sumX;
+    const slope = (sumW * sumXY - sumX * sumY) / delta;
+    const intercept = (sumY - slope * sumX) / sumW;
 
-    // Calculate R²
-    const yMean = sumY / n;
+    // Calculate R² and χ²
+    const yMean = sumY / sumW;
     let ssTotal = 0, ssResidual = 0;
     for (let i = 0; i < n; i++) {
-        ssTotal += (yData[i] - yMean) ** 2;
+        ssTotal += weights[i] * (yData[i] - yMean) ** 2;
         const yPredicted = slope * xData[i] + intercept;
-        ssResidual += (yData[i] - yPredicted) ** 2;
+        ssResidual += weights[i] * (yData[i] - yPredicted) ** 2;
     }
     const r2 = 1 - (ssResidual / ssTotal);
+    const dof = n - 2;
+    const reducedChi2 = dof > 0 ? ssResidual / dof : NaN;
+
+    // Standard errors: σ_a = √(S/Δ), σ_b = √(Sxx/Δ), scaled by the residual scatter
+    // Weighted fits are only scaled up, when the data scatter more than their error bars allow
+    let errorScale;
+    if (sigmaData) {
+        errorScale = dof > 0 ? Math.max(1, Math.sqrt(reducedChi2)) : 1;
+    } else {
+        errorScale = dof > 0 ? Math.sqrt(reducedChi2) : NaN;
+    }
+    const slopeError = Math.sqrt(sumW / delta) * errorScale;
+    const interceptError = Math.sqrt(sumX2 / delta) * errorScale;
 
-    return { slope, intercept, r2 };
+    return { slope, intercept, r2, slopeError, interceptError, reducedChi2 };
 }
 
-// Analyze data and create plot
+// Solve the linear system A·x = b by Gaussian elimination with partial pivoting
+// Returns null if the matrix is singular
+function solveLinearSystem(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+        }
+        if (Math.abs(M[pivot][col]) < 1e-300) return null;
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = M[row][col] / M[col][col];
+            for (let k = col; k <= n; k++) {
+                M[row][k] -= factor * M[col][k];
+            }
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = M[row][n];
+        for (let k = row + 1; k < n; k++) {
+            sum -= M[row][k] * x[k];
+        }
+        x[row] = sum / M[row][row];
+    }
+    return x;
+}
+
+// Nonlinear least squares fit of y = model(x, params) (Levenberg-Marquardt)
+// Returns the fitted params, their standard errors and the residual sum of squares
+function nonlinearLeastSquares(model, initialParams, xData, yData) {
+    const n = xData.length;
+    const m = initialParams.length;
+    if (n <= m) return null;
+
+    const residualSum = (params) => xData.reduce((sum, x, i) => sum + (yData[i] - model(x, params)) ** 2, 0);
+
+    // Jacobian of the model by central differences
+    const jacobian = (params) => xData.map(x => params.map((p, j) => {
+        const step = Math.abs(p) * 1e-6 || 1e-6;
+        const up = [...params];
+        const down = [...params];
+        up[j] += step;
+        down[j] -= step;
+        return (model(x, up) - model(x, down)) / (2 * step);
+    }));
+
+    // Normal matrix JᵀJ
+    const normalMatrix = (J) => {
+        const JtJ = [];
+        for (let a = 0; a < m; a++) {
+            JtJ.push([]);
+            for (let b = 0; b < m; b++) {
+                JtJ[a].push(J.reduce((sum, row) => sum + row[a] * row[b], 0));
+            }
+        }
+        return JtJ;
+    };
+
+    let params = [...initialParams];
+    let ssr = residualSum(params);
+    let lambda = 1e-3;
+
+    for (let iteration = 0; iteration < 200; iteration++) {
+        const J = jacobian(params);
+        const JtJ = normalMatrix(J);
+        const Jtr = [];
+        for (let a = 0; a < m; a++) {
+            Jtr.push(J.reduce((sum, row, i) => sum + row[a] * (yData[i] - model(xData[i], params)), 0));
+        }
+
+        // Damped normal equations: (JᵀJ + λ·diag(JᵀJ))·δ = Jᵀr
+        const damped = JtJ.map((row, a) => row.map((v, b) => (a === b ? v * (1 + lambda) : v)));
+        const delta = solveLinearSystem(damped, Jtr);
+        if (!delta) break;
+
+        const trial = params.map((p, j) => p + delta[j]);
+        const trialSsr = residualSum(trial);
+
+        if (Number.isFinite(trialSsr) && trialSsr < ssr) {
+            const converged = (ssr - trialSsr) <= 1e-12 * ssr;
+            params = trial;
+            ssr = trialSsr;
+            lambda /= 10;
+            if (converged) break;
+        } else {
+            lambda *= 10;
+            if (lambda > 1e12) break;
+        }
+    }
+
+    // Covariance = s²·(JᵀJ)⁻¹ with s² = SSR/(n - m)
+    const JtJ = normalMatrix(jacobian(params));
+    const variance = ssr / (n - m);
+    const errors = params.map((p, j) => {
+        const unit = new Array(m).fill(0);
+        unit[j] = 1;
+        const column = solveLinearSystem(JtJ, unit);
+        return column ? Math.sqrt(Math.max(0, column[j] * variance)) : NaN;
+    });
+
+    return { params, errors, ssr };
+}
+
+// Analyze data for the current experiment
 function analyzeData() {
+    if (experimentMode === 'driven') {
+        analyzeResonance();
+    } else if (experimentMode === 'amplitude') {
+        analyzeAmplitudeData();
+    } else if (analysisTab === 'minimum') {
+        analyzeMinimumPeriod();
+    } else {
+        analyzeLinearization();
+    }
+}
+
+// Linearize T vs h data and fit to find g
+function analyzeLinearization() {
     if (storedData.length < 2) {
         alert('Need at least 2 data points to perform analysis!');
         return;
@@ -451,108 +1880,443 @@ function analyzeData() {
     const xData = storedData.map(d => d.h * d.T * d.T);
     const yData = storedData.map(d => d.h * d.h);
 
+    // Propagate δh and δT: δx = √((T²δh)² + (2hTδT)²), δy = 2hδh
+    const dh = Math.max(0, parseFloat(pivotUncertaintyInput.value) || 0);
+    const defaultDT = Math.max(0, parseFloat(defaultPeriodUncertaintyInput.value) || 0);
+    const xErrors = storedData.map(d => {
+        const dT = d.dT !== null ? d.dT : defaultDT;
+        return Math.sqrt((d.T * d.T * dh) ** 2 + (2 * d.h * d.T * dT) ** 2);
+    });
+    const yErrors = storedData.map(d => 2 * d.h * dh);
+
     // Perform linear regression
-    const fit = linearRegression(xData, yData);
+    // Both axes carry errors, so weight by the effective variance σ² = δy² + (a·δx)²,
+    // iterating because the weights depend on the slope
+    let fit = linearRegression(xData, yData);
     if (!fit) return;
+    // A row with no error at all (δh = 0 and identical photogate periods) would get an infinite weight,
+    // so the fit is only weighted when every row has an error bar
+    const weighted = xErrors.every((e, i) => e > 0 || yErrors[i] > 0);
+    if (weighted) {
+        for (let i = 0; i < 5; i++) {
+            const sigmas = xErrors.map((dx, j) => Math.sqrt(yErrors[j] ** 2 + (fit.slope * dx) ** 2));
+            fit = linearRegression(xData, yData, sigmas);
+        }
+    }
 
     // Calculate experimental g from slope: a = g/(4π²), so g = 4π²a
     const expG = 4 * Math.PI * Math.PI * fit.slope;
-    const percentError = Math.abs((expG - g) / g * 100);
+    const expGError = 4 * Math.PI * Math.PI * fit.slopeError;
+
+    // Pass if the accepted value lies within 2σ of the measurement
+    // An unweighted fit through two rows has no scatter to estimate σ from, so it gets no verdict
+    const judged = Number.isFinite(expGError) && expGError > 0;
+    const sigmaDeviation = Math.abs(expG - g) / expGError;
+    const passed = sigmaDeviation <= 2;
+    const formatError = (value, digits) => Number.isFinite(value) ? value.toFixed(digits) : 'n/a';
+
+    // Intercept b = -I_cm/m = -k², whatever the shape of the body
+    const body = bodies[storedData[0].body];
+    const expICm = -fit.intercept;
+    const theoryICm = body.getICmOverM();
 
     // Update display
     document.getElementById('slopeValue').textContent = fit.slope.toFixed(4);
     document.getElementById('interceptValue').textContent = fit.intercept.toFixed(2);
-    document.getElementById('slopeDisplay').textContent = fit.slope.toFixed(4);
-    document.getElementById('interceptDisplay').textContent = fit.intercept.toFixed(2);
+    document.getElementById('slopeDisplay').textContent = `${fit.slope.toFixed(4)} ± ${formatError(fit.slopeError, 4)}`;
+    document.getElementById('interceptDisplay').textContent = `${fit.intercept.toFixed(2)} ± ${formatError(fit.interceptError, 2)}`;
     document.getElementById('r2Value').textContent = fit.r2.toFixed(6);
-    document.getElementById('expGravity').textContent = expG.toFixed(2);
-    document.getElementById('expGravityM').textContent = (expG / 100).toFixed(2);
-    document.getElementById('percentError').textContent = percentError.toFixed(2);
+    document.getElementById('chi2Value').textContent = weighted ? fit.reducedChi2.toFixed(2) : '-';
+    document.getElementById('expGravity').textContent = `${expG.toFixed(2)} ± ${formatError(expGError, 2)}`;
+    document.getElementById('expGravityM').textContent = `${(expG / 100).toFixed(2)} ± ${formatError(expGError / 100, 2)}`;
+    document.getElementById('sigmaDeviation').textContent = judged ? sigmaDeviation.toFixed(2) : 'n/a';
+    const passResult = document.getElementById('passResult');
+    if (judged) {
+        passResult.textContent = passed ? 'PASS: g within 2σ of 980 cm/s²' : 'FAIL: g more than 2σ from 980 cm/s²';
+        passResult.className = passed ? 'pass-result pass' : 'pass-result fail';
+    } else {
+        passResult.textContent = 'No verdict: record a third row (or enter error bars) to estimate the error on g';
+        passResult.className = 'pass-result';
+    }
+    document.getElementById('icmBody').textContent = body.label;
+    document.getElementById('icmExp').textContent = `${expICm.toFixed(1)} ± ${formatError(fit.interceptError, 1)}`;
+    document.getElementById('icmTheory').textContent = theoryICm.toFixed(1);
+    document.getElementById('gyrationExp').textContent = expICm > 0 ? Math.sqrt(expICm).toFixed(2) : '-';
+    document.getElementById('gyrationTheory').textContent = Math.sqrt(theoryICm).toFixed(2);
 
     // Draw scatter plot
-    drawPlot(xData, yData, fit);
+    drawPlot(xData, yData, fit, xErrors, yErrors);
 
+    linearFitResults.style.display = 'block';
+    amplitudeResults.style.display = 'none';
+    minimumResults.style.display = 'none';
+    resonanceResults.style.display = 'none';
     analysisResults.style.display = 'flex';
 }
 
-// Draw scatter plot with linear fit
-function drawPlot(xData, yData, fit) {
-    const width = plotCanvas.width;
-    const height = plotCanvas.height;
-    const padding = 50;
+// Physical pendulum period as a function of h for given g and k² = I_cm/m
+function periodModel(h, params) {
+    const [gFit, kSquared] = params;
+    return 2 * Math.PI * Math.sqrt((kSquared + h * h) / (gFit * h));
+}
 
-    plotCtx.clearRect(0, 0, width, height);
+// Fit raw T vs h, locate the minimum period and the conjugate pivot distances
+function analyzeMinimumPeriod() {
+    if (storedData.length < 3) {
+        alert('Need at least 3 data points to fit T vs h!');
+        return;
+    }
 
-    // Find data ranges
-    const xMin = 0;
-    const xMax = Math.max(...xData) * 1.1;
-    const yMin = 0;
-    const yMax = Math.max(...yData) * 1.1;
+    const hData = storedData.map(d => d.h);
+    const tData = storedData.map(d => d.T);
+    const body = bodies[storedData[0].body];
+
+    // Start from the linearization: slope = g/(4π²), intercept = -k²
+    const linear = linearRegression(hData.map((h, i) => h * tData[i] * tData[i]), hData.map(h => h * h));
+    const gGuess = linear && linear.slope > 0 ? 4 * Math.PI * Math.PI * linear.slope : g;
+    const kSquaredGuess = linear && linear.intercept < 0 ? -linear.intercept : body.getICmOverM();
+
+    const result = nonlinearLeastSquares(periodModel, [gGuess, kSquaredGuess], hData, tData);
+    if (!result) return;
+
+    const [gFit, kSquared] = result.params;
+
+    // Noisy periods can pull the fit to k² ≤ 0 (or g ≤ 0), which no body has
+    if (!(kSquared > 0 && gFit > 0)) {
+        alert(`The fit is unphysical (k² = ${kSquared.toFixed(1)} cm², g = ${gFit.toFixed(1)} cm/s²). Record more precise periods on both sides of the minimum.`);
+        return;
+    }
+
+    const kFit = Math.sqrt(kSquared);
+    // δk = δ(k²)/(2k)
+    const kError = result.errors[1] / (2 * kFit);
+    const kTheory = Math.sqrt(body.getICmOverM());
+    const tMinFit = periodModel(kFit, result.params);
+
+    // Smallest measured period
+    const minIndex = tData.indexOf(Math.min(...tData));
+
+    // Conjugate pivot distances for a chosen period: h₁ + h₂ = gT²/(4π²), h₁·h₂ = k²
+    // Default to the period measured at the largest h, whose partner lies on the same body
+    let conjugateT = parseFloat(conjugatePeriodInput.value);
+    if (!(conjugateT > tMinFit)) {
+        const maxIndex = hData.indexOf(Math.max(...hData));
+        conjugateT = tData[maxIndex] > tMinFit ? tData[maxIndex] : Math.max(...tData);
+        conjugatePeriodInput.value = conjugateT.toFixed(3);
+    }
+    const equivalentLength = gFit * conjugateT * conjugateT / (4 * Math.PI * Math.PI);
+    const discriminant = equivalentLength * equivalentLength - 4 * kSquared;
+    const conjugate = discriminant >= 0
+        ? {
+            T: conjugateT,
+            h1: (equivalentLength - Math.sqrt(discriminant)) / 2,
+            h2: (equivalentLength + Math.sqrt(discriminant)) / 2
+        }
+        : null;
+
+    document.getElementById('minimumGravity').textContent = `${gFit.toFixed(1)} ± ${result.errors[0].toFixed(1)}`;
+    document.getElementById('minimumHExp').textContent = `${kFit.toFixed(2)} ± ${kError.toFixed(2)}`;
+    document.getElementById('minimumHTheory').textContent = kTheory.toFixed(2);
+    document.getElementById('minimumTFit').textContent = tMinFit.toFixed(4);
+    document.getElementById('minimumRaw').textContent = `${tData[minIndex].toFixed(4)} s at h = ${hData[minIndex]} cm`;
+    document.getElementById('conjugateLength').textContent = equivalentLength.toFixed(2);
+    document.getElementById('conjugateH1').textContent = conjugate ? conjugate.h1.toFixed(2) : '-';
+    document.getElementById('conjugateH2').textContent = conjugate ? conjugate.h2.toFixed(2) : '-';
+    document.getElementById('conjugateProduct').textContent = conjugate
+        ? `${(conjugate.h1 * conjugate.h2).toFixed(1)} (k² = ${kSquared.toFixed(1)})`
+        : '-';
+
+    drawMinimumPlot(hData, tData, result.params, kTheory, conjugate);
+
+    linearFitResults.style.display = 'none';
+    amplitudeResults.style.display = 'none';
+    minimumResults.style.display = 'block';
+    resonanceResults.style.display = 'none';
+    analysisResults.style.display = 'flex';
+}
+
+// Compare T/T₀ vs θ₀ data against the exact period and its series expansion
+function analyzeAmplitudeData() {
+    if (storedData.length < 2) {
+        alert('Need at least 2 data points to perform analysis!');
+        return;
+    }
+
+    // Rows kept from pivot mode can have other pivot distances, and T₀ depends on h
+    const h = storedData[0].h;
+    if (storedData.some(d => d.h !== h)) {
+        alert('All rows of a T vs θ₀ sweep must use the same pivot distance. Remove the other rows or clear the table first.');
+        return;
+    }
+
+    const T0 = getTheoreticalPeriod(h);
+    const thetaData = storedData.map(d => d.theta0);
+    const ratioData = storedData.map(d => d.T / T0);
+
+    // RMS deviation of measured periods from the exact elliptic-integral value
+    let sumSq = 0;
+    storedData.forEach(d => {
+        const exactT = getExactPeriod(d.h, d.theta0);
+        sumSq += ((d.T - exactT) / exactT * 100) ** 2;
+    });
+    const rmsDeviation = Math.sqrt(sumSq / storedData.length);
+
+    const last = storedData[storedData.length - 1];
+    const seriesRatio = getSeriesPeriodRatio(last.theta0 * Math.PI / 180);
+
+    document.getElementById('amplitudeH').textContent = h;
+    document.getElementById('amplitudeT0').textContent = T0.toFixed(4);
+    document.getElementById('amplitudeMaxAngle').textContent = last.theta0;
+    document.getElementById('amplitudeMaxRatio').textContent = (last.T / T0).toFixed(4);
+    document.getElementById('amplitudeSeriesRatio').textContent = seriesRatio.toFixed(4);
+    document.getElementById('amplitudeRms').textContent = rmsDeviation.toFixed(3);
+
+    drawAmplitudePlot(thetaData, ratioData);
+
+    linearFitResults.style.display = 'none';
+    amplitudeResults.style.display = 'block';
+    minimumResults.style.display = 'none';
+    resonanceResults.style.display = 'none';
+    analysisResults.style.display = 'flex';
+}
+
+// Lorentzian amplitude response, params [A_max, f₀, Γ] with Γ the full width of A² at half maximum
+function lorentzianModel(f, params) {
+    const [amplitudeMax, f0, width] = params;
+    return amplitudeMax / Math.sqrt(1 + (2 * (f - f0) / width) ** 2);
+}
+
+// Fit the resonance curve to find the natural frequency and the quality factor
+function analyzeResonance() {
+    if (storedData.length < 4) {
+        alert('Need at least 4 data points to fit a resonance curve!');
+        return;
+    }
+
+    const fData = storedData.map(d => d.f);
+    const aData = storedData.map(d => d.amplitude);
+
+    // Start from the highest point and the points above A_max/√2 (the half-power width)
+    const peakIndex = aData.indexOf(Math.max(...aData));
+    const halfPower = fData.filter((f, i) => aData[i] >= aData[peakIndex] / Math.SQRT2);
+    const spacing = (fData[fData.length - 1] - fData[0]) / (fData.length - 1);
+    const widthGuess = Math.max(Math.max(...halfPower) - Math.min(...halfPower), spacing);
+
+    const fit = nonlinearLeastSquares(lorentzianModel, [aData[peakIndex], fData[peakIndex], widthGuess], fData, aData);
+    if (!fit) {
+        alert('The Lorentzian fit failed. Record more frequencies around the peak.');
+        return;
+    }
+
+    const [amplitudeMax, f0] = fit.params;
+    const width = Math.abs(fit.params[2]);
+    const [, f0Error, widthError] = fit.errors;
+    const Q = f0 / width;
+    const QError = Q * Math.sqrt((f0Error / f0) ** 2 + (widthError / width) ** 2);
+
+    // Small-angle natural frequency, and Q = ω₀/b for viscous damping
+    const first = storedData[0];
+    const f0Theory = 1 / getTheoreticalPeriod(first.h);
+    const QTheory = first.damping === 'viscous' ? 2 * Math.PI * f0Theory / first.b : null;
+
+    document.getElementById('resonanceF0').textContent = `${f0.toFixed(4)} ± ${f0Error.toFixed(4)}`;
+    document.getElementById('resonanceF0Theory').textContent = f0Theory.toFixed(4);
+    document.getElementById('resonanceWidth').textContent = `${width.toFixed(4)} ± ${widthError.toFixed(4)}`;
+    document.getElementById('resonanceQ').textContent = `${Q.toFixed(1)} ± ${QError.toFixed(1)}`;
+    document.getElementById('resonanceQTheory').textContent = QTheory !== null
+        ? QTheory.toFixed(1)
+        : '- (amplitude-dependent damping)';
+    document.getElementById('resonancePeak').textContent = amplitudeMax.toFixed(2);
+
+    drawResonancePlot(fData, aData, fit.params, f0Theory);
+
+    linearFitResults.style.display = 'none';
+    amplitudeResults.style.display = 'none';
+    minimumResults.style.display = 'none';
+    resonanceResults.style.display = 'block';
+    analysisResults.style.display = 'flex';
+}
+
+// Draw grid, axes, labels and tick values on a plot canvas
+// Returns the data-to-canvas coordinate transforms for the given ranges
+function drawPlotAxes(context, options) {
+    const width = context.canvas.width;
+    const height = context.canvas.height;
+    const padding = options.padding || 50;
+    const { xMin, xMax, yMin, yMax, xLabel, yLabel } = options;
+    const xDecimals = options.xDecimals !== undefined ? options.xDecimals : 1;
+    const yDecimals = options.yDecimals !== undefined ? options.yDecimals : 0;
+
+    context.clearRect(0, 0, width, height);
 
     // Helper functions for coordinate transformation
     const toCanvasX = (x) => padding + (x - xMin) / (xMax - xMin) * (width - 2 * padding);
     const toCanvasY = (y) => height - padding - (y - yMin) / (yMax - yMin) * (height - 2 * padding);
 
     // Draw grid
-    plotCtx.strokeStyle = '#2a2a4a';
-    plotCtx.lineWidth = 1;
+    context.strokeStyle = '#2a2a4a';
+    context.lineWidth = 1;
 
     // Vertical grid lines
     for (let i = 0; i <= 5; i++) {
         const x = padding + i * (width - 2 * padding) / 5;
-        plotCtx.beginPath();
-        plotCtx.moveTo(x, padding);
-        plotCtx.lineTo(x, height - padding);
-        plotCtx.stroke();
+        context.beginPath();
+        context.moveTo(x, padding);
+        context.lineTo(x, height - padding);
+        context.stroke();
     }
 
     // Horizontal grid lines
     for (let i = 0; i <= 5; i++) {
         const y = padding + i * (height - 2 * padding) / 5;
-        plotCtx.beginPath();
-        plotCtx.moveTo(padding, y);
-        plotCtx.lineTo(width - padding, y);
-        plotCtx.stroke();
+        context.beginPath();
+        context.moveTo(padding, y);
+        context.lineTo(width - padding, y);
+        context.stroke();
     }
 
     // Draw axes
-    plotCtx.strokeStyle = '#666';
-    plotCtx.lineWidth = 2;
-    plotCtx.beginPath();
-    plotCtx.moveTo(padding, padding);
-    plotCtx.lineTo(padding, height - padding);
-    plotCtx.lineTo(width - padding, height - padding);
-    plotCtx.stroke();
+    context.strokeStyle = '#666';
+    context.lineWidth = 2;
+    context.beginPath();
+    context.moveTo(padding, padding);
+    context.lineTo(padding, height - padding);
+    context.lineTo(width - padding, height - padding);
+    context.stroke();
 
     // Draw axis labels
-    plotCtx.fillStyle = '#b8b8d1';
-    plotCtx.font = '12px Arial';
-    plotCtx.textAlign = 'center';
+    context.fillStyle = '#b8b8d1';
+    context.font = '12px Arial';
+    context.textAlign = 'center';
 
     // X-axis label
-    plotCtx.fillText('x = h·T² (cm·s²)', width / 2, height - 10);
+    context.fillText(xLabel, width / 2, height - 10);
 
     // Y-axis label
-    plotCtx.save();
-    plotCtx.translate(15, height / 2);
-    plotCtx.rotate(-Math.PI / 2);
-    plotCtx.fillText('y = h² (cm²)', 0, 0);
-    plotCtx.restore();
+    context.save();
+    context.translate(15, height / 2);
+    context.rotate(-Math.PI / 2);
+    context.fillText(yLabel, 0, 0);
+    context.restore();
 
     // Draw axis tick labels
-    plotCtx.font = '10px Arial';
+    context.font = '10px Arial';
     for (let i = 0; i <= 5; i++) {
         const xVal = xMin + i * (xMax - xMin) / 5;
         const x = toCanvasX(xVal);
-        plotCtx.fillText(xVal.toFixed(1), x, height - padding + 15);
+        context.fillText(xVal.toFixed(xDecimals), x, height - padding + 15);
 
         const yVal = yMin + i * (yMax - yMin) / 5;
         const y = toCanvasY(yVal);
-        plotCtx.textAlign = 'right';
-        plotCtx.fillText(yVal.toFixed(0), padding - 5, y + 4);
-        plotCtx.textAlign = 'center';
+        context.textAlign = 'right';
+        context.fillText(yVal.toFixed(yDecimals), padding - 5, y + 4);
+        context.textAlign = 'center';
     }
 
+    return { toCanvasX, toCanvasY };
+}
+
+// Draw horizontal and vertical error bars with end caps
+function drawErrorBars(context, xData, yData, xErrors, yErrors, toCanvasX, toCanvasY, color) {
+    const cap = 4;
+    context.strokeStyle = color;
+    context.lineWidth = 1;
+
+    for (let i = 0; i < xData.length; i++) {
+        const cx = toCanvasX(xData[i]);
+        const cy = toCanvasY(yData[i]);
+
+        if (xErrors && xErrors[i] > 0) {
+            const left = toCanvasX(xData[i] - xErrors[i]);
+            const right = toCanvasX(xData[i] + xErrors[i]);
+            context.beginPath();
+            context.moveTo(left, cy);
+            context.lineTo(right, cy);
+            context.moveTo(left, cy - cap);
+            context.lineTo(left, cy + cap);
+            context.moveTo(right, cy - cap);
+            context.lineTo(right, cy + cap);
+            context.stroke();
+        }
+
+        if (yErrors && yErrors[i] > 0) {
+            const top = toCanvasY(yData[i] + yErrors[i]);
+            const bottom = toCanvasY(yData[i] - yErrors[i]);
+            context.beginPath();
+            context.moveTo(cx, top);
+            context.lineTo(cx, bottom);
+            context.moveTo(cx - cap, top);
+            context.lineTo(cx + cap, top);
+            context.moveTo(cx - cap, bottom);
+            context.lineTo(cx + cap, bottom);
+            context.stroke();
+        }
+    }
+}
+
+// Draw data points as bordered circles
+function drawPlotPoints(context, xData, yData, toCanvasX, toCanvasY, color) {
+    context.fillStyle = color;
+    for (let i = 0; i < xData.length; i++) {
+        const cx = toCanvasX(xData[i]);
+        const cy = toCanvasY(yData[i]);
+        context.beginPath();
+        context.arc(cx, cy, 6, 0, Math.PI * 2);
+        context.fill();
+
+        // Point border
+        context.strokeStyle = '#fff';
+        context.lineWidth = 1;
+        context.stroke();
+    }
+}
+
+// Draw a legend in the top-right corner
+// Each item is { label, color, type } where type is 'point' or 'line'
+function drawPlotLegend(context, items) {
+    const width = context.canvas.width;
+
+    context.font = '11px Arial';
+    context.textAlign = 'left';
+
+    items.forEach((item, i) => {
+        const y = 25 + i * 20;
+        if (item.type === 'point') {
+            context.fillStyle = item.color;
+            context.beginPath();
+            context.arc(width - 100, y, 5, 0, Math.PI * 2);
+            context.fill();
+            context.fillStyle = '#b8b8d1';
+            context.fillText(item.label, width - 90, y + 3);
+        } else {
+            context.strokeStyle = item.color;
+            context.lineWidth = 2;
+            context.setLineDash(item.dashed ? [6, 4] : []);
+            context.beginPath();
+            context.moveTo(width - 105, y);
+            context.lineTo(width - 85, y);
+            context.stroke();
+            context.setLineDash([]);
+            context.fillStyle = '#b8b8d1';
+            context.fillText(item.label, width - 80, y + 3);
+        }
+    });
+}
+
+// Draw scatter plot with linear fit and error bars
+function drawPlot(xData, yData, fit, xErrors, yErrors) {
+    // Find data ranges
+    const xMin = 0;
+    const xMax = Math.max(...xData.map((x, i) => x + xErrors[i])) * 1.1;
+    const yMin = 0;
+    const yMax = Math.max(...yData.map((y, i) => y + yErrors[i])) * 1.1;
+
+    const { toCanvasX, toCanvasY } = drawPlotAxes(plotCtx, {
+        xMin, xMax, yMin, yMax,
+        xLabel: 'x = h·T² (cm·s²)',
+        yLabel: 'y = h² (cm²)'
+    });
+
     // Draw linear fit line
     plotCtx.strokeStyle = '#ff6b6b';
     plotCtx.lineWidth = 2;
@@ -563,44 +2327,397 @@ function drawPlot(xData, yData, fit) {
     plotCtx.lineTo(toCanvasX(xMax), toCanvasY(fitY1));
     plotCtx.stroke();
 
+    // Draw error bars, then data points on top
+    drawErrorBars(plotCtx, xData, yData, xErrors, yErrors, toCanvasX, toCanvasY, '#b8b8d1');
+    drawPlotPoints(plotCtx, xData, yData, toCanvasX, toCanvasY, '#00d4ff');
+
+    // Draw legend
+    drawPlotLegend(plotCtx, [
+        { label: 'Data', color: '#00d4ff', type: 'point' },
+        { label: 'Linear Fit', color: '#ff6b6b', type: 'line' }
+    ]);
+}
+
+// Draw T/T₀ vs θ₀ with the series-expansion curve overlaid
+function drawAmplitudePlot(thetaData, ratioData) {
+    const xMin = 0;
+    const xMax = Math.max(...thetaData) * 1.1;
+    const curveMax = getSeriesPeriodRatio(xMax * Math.PI / 180);
+    const yMin = Math.min(0.99, ...ratioData);
+    const yMax = Math.max(curveMax, ...ratioData) + 0.01;
+
+    const { toCanvasX, toCanvasY } = drawPlotAxes(plotCtx, {
+        xMin, xMax, yMin, yMax,
+        xLabel: 'θ₀ (°)',
+        yLabel: 'T/T₀',
+        xDecimals: 0,
+        yDecimals: 3
+    });
+
+    // Draw series-expansion curve
+    plotCtx.strokeStyle = '#ff6b6b';
+    plotCtx.lineWidth = 2;
+    plotCtx.beginPath();
+    for (let i = 0; i <= 100; i++) {
+        const theta = xMin + i * (xMax - xMin) / 100;
+        const ratio = getSeriesPeriodRatio(theta * Math.PI / 180);
+        if (i === 0) {
+            plotCtx.moveTo(toCanvasX(theta), toCanvasY(ratio));
+        } else {
+            plotCtx.lineTo(toCanvasX(theta), toCanvasY(ratio));
+        }
+    }
+    plotCtx.stroke();
+
     // Draw data points
-    plotCtx.fillStyle = '#00d4ff';
-    for (let i = 0; i < xData.length; i++) {
-        const cx = toCanvasX(xData[i]);
-        const cy = toCanvasY(yData[i]);
-        plotCtx.beginPath();
-        plotCtx.arc(cx, cy, 6, 0, Math.PI * 2);
-        plotCtx.fill();
+    drawPlotPoints(plotCtx, thetaData, ratioData, toCanvasX, toCanvasY, '#00d4ff');
 
-        // Point border
-        plotCtx.strokeStyle = '#fff';
-        plotCtx.lineWidth = 1;
-        plotCtx.stroke();
+    // Draw legend
+    drawPlotLegend(plotCtx, [
+        { label: 'Data', color: '#00d4ff', type: 'point' },
+        { label: 'Series', color: '#ff6b6b', type: 'line' }
+    ]);
+}
+
+// Draw amplitude vs drive frequency with the fitted Lorentzian and the small-angle f₀
+function drawResonancePlot(fData, aData, params, f0Theory) {
+    const xMin = Math.min(...fData, f0Theory) * 0.97;
+    const xMax = Math.max(...fData, f0Theory) * 1.03;
+    const yMax = Math.max(params[0], ...aData) * 1.1;
+
+    const { toCanvasX, toCanvasY } = drawPlotAxes(plotCtx, {
+        xMin, xMax, yMin: 0, yMax,
+        xLabel: 'f (Hz)',
+        yLabel: 'Amplitude (°)',
+        xDecimals: 2,
+        yDecimals: 1
+    });
+
+    const height = plotCanvas.height;
+    const padding = 50;
+
+    // Small-angle natural frequency
+    plotCtx.strokeStyle = '#b8b8d1';
+    plotCtx.lineWidth = 1.5;
+    plotCtx.setLineDash([6, 4]);
+    plotCtx.beginPath();
+    plotCtx.moveTo(toCanvasX(f0Theory), padding);
+    plotCtx.lineTo(toCanvasX(f0Theory), height - padding);
+    plotCtx.stroke();
+    plotCtx.setLineDash([]);
+
+    // Fitted Lorentzian
+    plotCtx.strokeStyle = '#ff6b6b';
+    plotCtx.lineWidth = 2;
+    plotCtx.beginPath();
+    for (let i = 0; i <= 200; i++) {
+        const f = xMin + i * (xMax - xMin) / 200;
+        const x = toCanvasX(f);
+        const y = toCanvasY(lorentzianModel(f, params));
+        if (i === 0) {
+            plotCtx.moveTo(x, y);
+        } else {
+            plotCtx.lineTo(x, y);
+        }
     }
+    plotCtx.stroke();
+
+    // Draw data points
+    drawPlotPoints(plotCtx, fData, aData, toCanvasX, toCanvasY, '#00d4ff');
 
     // Draw legend
-    plotCtx.fillStyle = '#b8b8d1';
-    plotCtx.font = '11px Arial';
-    plotCtx.textAlign = 'left';
+    drawPlotLegend(plotCtx, [
+        { label: 'Data', color: '#00d4ff', type: 'point' },
+        { label: 'Lorentzian', color: '#ff6b6b', type: 'line' },
+        { label: 'f₀ (small angle)', color: '#b8b8d1', type: 'line', dashed: true }
+    ]);
+}
 
-    // Data points legend
-    plotCtx.fillStyle = '#00d4ff';
+// Draw the live angle trace with its turning-point envelope
+// When a decay fit is given, its envelope is overlaid as dashed curves
+function drawDecayPlot(decay) {
+    // A driven swing can grow past the release angle
+    const peak = angleTrace.reduce((max, p) => Math.max(max, Math.abs(p.angle)), 0) * 180 / Math.PI;
+    const theta0 = Math.max(initialAngle, Math.ceil(peak));
+    const tEnd = angleTrace[angleTrace.length - 1].t;
+    const xMax = Math.max(10, Math.ceil(tEnd / 10) * 10);
+    // Scrolls once the run is longer than the kept trace
+    const xMin = Math.max(0, xMax - traceWindow);
+    const inWindow = (p) => p.t >= xMin;
+
+    const { toCanvasX, toCanvasY } = drawPlotAxes(decayCtx, {
+        xMin, xMax, yMin: -theta0, yMax: theta0,
+        xLabel: 't (s)',
+        yLabel: 'θ (°)',
+        xDecimals: 0,
+        yDecimals: 0,
+        padding: 35
+    });
+
+    const toDeg = 180 / Math.PI;
+
+    // Angle trace
+    decayCtx.strokeStyle = '#00d4ff';
+    decayCtx.lineWidth = 1;
+    decayCtx.beginPath();
+    angleTrace.filter(inWindow).forEach((p, i) => {
+        const x = toCanvasX(p.t);
+        const y = toCanvasY(p.angle * toDeg);
+        if (i === 0) {
+            decayCtx.moveTo(x, y);
+        } else {
+            decayCtx.lineTo(x, y);
+        }
+    });
+    decayCtx.stroke();
+
+    // Turning-point amplitudes
+    decayCtx.fillStyle = '#00ff88';
+    amplitudeLog.filter(inWindow).forEach(p => {
+        decayCtx.beginPath();
+        decayCtx.arc(toCanvasX(p.t), toCanvasY(p.amplitude * toDeg), 2, 0, Math.PI * 2);
+        decayCtx.fill();
+    });
+
+    if (!decay) return;
+
+    // Fitted envelope ±A(t)
+    decayCtx.strokeStyle = '#ff6b6b';
+    decayCtx.lineWidth = 1.5;
+    decayCtx.setLineDash([6, 4]);
+    [1, -1].forEach(sign => {
+        decayCtx.beginPath();
+        for (let i = 0; i <= 100; i++) {
+            const t = xMin + i * (tEnd - xMin) / 100;
+            const x = toCanvasX(t);
+            const y = toCanvasY(sign * decay.envelope(t) * toDeg);
+            if (i === 0) {
+                decayCtx.moveTo(x, y);
+            } else {
+                decayCtx.lineTo(x, y);
+            }
+        }
+        decayCtx.stroke();
+    });
+    decayCtx.setLineDash([]);
+}
+
+// Draw raw T vs h with the fitted curve, both h_min markers and the conjugate pair
+function drawMinimumPlot(hData, tData, params, kTheory, conjugate) {
+    const kFit = Math.sqrt(params[1]);
+    const xMin = 0;
+    const xMax = Math.max(...hData, kTheory, conjugate ? conjugate.h2 : 0) * 1.1;
+    const curveMin = Math.max(xMax / 200, Math.min(...hData) / 2);
+    const yMin = Math.min(...tData) * 0.9;
+    const yMax = Math.max(...tData) * 1.1;
+
+    const { toCanvasX, toCanvasY } = drawPlotAxes(plotCtx, {
+        xMin, xMax, yMin, yMax,
+        xLabel: 'h (cm)',
+        yLabel: 'T (s)',
+        xDecimals: 0,
+        yDecimals: 2
+    });
+
+    const height = plotCanvas.height;
+    const padding = 50;
+
+    // Draw fitted curve, clipped to the plot area
+    plotCtx.save();
     plotCtx.beginPath();
-    plotCtx.arc(width - 100, 25, 5, 0, Math.PI * 2);
-    plotCtx.fill();
-    plotCtx.fillStyle = '#b8b8d1';
-    plotCtx.fillText('Data', width - 90, 28);
+    plotCtx.rect(padding, padding, plotCanvas.width - 2 * padding, height - 2 * padding);
+    plotCtx.clip();
 
-    // Fit line legend
     plotCtx.strokeStyle = '#ff6b6b';
     plotCtx.lineWidth = 2;
     plotCtx.beginPath();
-    plotCtx.moveTo(width - 105, 45);
-    plotCtx.lineTo(width - 85, 45);
+    for (let i = 0; i <= 200; i++) {
+        const h = curveMin + i * (xMax - curveMin) / 200;
+        const x = toCanvasX(h);
+        const y = toCanvasY(periodModel(h, params));
+        if (i === 0) {
+            plotCtx.moveTo(x, y);
+        } else {
+            plotCtx.lineTo(x, y);
+        }
+    }
     plotCtx.stroke();
-    plotCtx.fillStyle = '#b8b8d1';
-    plotCtx.fillText('Linear Fit', width - 80, 48);
+
+    // Conjugate pair: one period, two pivot distances
+    if (conjugate) {
+        plotCtx.strokeStyle = '#e9c46a';
+        plotCtx.lineWidth = 1;
+        plotCtx.setLineDash([3, 3]);
+        plotCtx.beginPath();
+        plotCtx.moveTo(toCanvasX(xMin), toCanvasY(conjugate.T));
+        plotCtx.lineTo(toCanvasX(xMax), toCanvasY(conjugate.T));
+        plotCtx.stroke();
+        plotCtx.setLineDash([]);
+
+        plotCtx.fillStyle = '#e9c46a';
+        [conjugate.h1, conjugate.h2].forEach(h => {
+            plotCtx.beginPath();
+            plotCtx.arc(toCanvasX(h), toCanvasY(conjugate.T), 5, 0, Math.PI * 2);
+            plotCtx.fill();
+        });
+    }
+    plotCtx.restore();
+
+    // Vertical markers at the experimental and theoretical h_min
+    [{ h: kFit, color: '#00ff88', dashed: false }, { h: kTheory, color: '#b8b8d1', dashed: true }].forEach(marker => {
+        plotCtx.strokeStyle = marker.color;
+        plotCtx.lineWidth = 1.5;
+        plotCtx.setLineDash(marker.dashed ? [6, 4] : []);
+        plotCtx.beginPath();
+        plotCtx.moveTo(toCanvasX(marker.h), padding);
+        plotCtx.lineTo(toCanvasX(marker.h), height - padding);
+        plotCtx.stroke();
+    });
+    plotCtx.setLineDash([]);
+
+    // Draw data points
+    drawPlotPoints(plotCtx, hData, tData, toCanvasX, toCanvasY, '#00d4ff');
+
+    // Draw legend
+    drawPlotLegend(plotCtx, [
+        { label: 'Data', color: '#00d4ff', type: 'point' },
+        { label: 'Fit', color: '#ff6b6b', type: 'line' },
+        { label: 'h_min (fit)', color: '#00ff88', type: 'line' },
+        { label: 'h_min (theory)', color: '#b8b8d1', type: 'line', dashed: true },
+        { label: 'Conjugate', color: '#e9c46a', type: 'point' }
+    ]);
+}
+
+// Draw a live time series on a small diagnostics canvas
+// The y range is symmetric about zero and grows to fit the data
+function drawTimeSeries(context, log, key, yLabel, color) {
+    const tEnd = log[log.length - 1].t;
+    const xMax = Math.max(10, Math.ceil(tEnd / 10) * 10);
+    const peak = log.reduce((max, p) => Math.max(max, Math.abs(p[key])), 0);
+    // Round the range up to 1, 2 or 5 times a power of ten
+    const magnitude = Math.pow(10, Math.floor(Math.log10(peak || 1e-6)));
+    const yMax = [1, 2, 5, 10].map(m => m * magnitude).find(v => v >= peak) || magnitude * 10;
+    const yDecimals = Math.max(0, -Math.floor(Math.log10(yMax)) + 1);
+
+    const { toCanvasX, toCanvasY } = drawPlotAxes(context, {
+        xMin: 0, xMax, yMin: -yMax, yMax,
+        xLabel: 't (s)',
+        yLabel,
+        xDecimals: 0,
+        yDecimals,
+        padding: 35
+    });
+
+    context.strokeStyle = color;
+    context.lineWidth = 1.5;
+    context.beginPath();
+    log.forEach((p, i) => {
+        const x = toCanvasX(p.t);
+        const y = toCanvasY(p[key]);
+        if (i === 0) {
+            context.moveTo(x, y);
+        } else {
+            context.lineTo(x, y);
+        }
+    });
+    context.stroke();
+}
+
+// Draw the energy drift and phase error of the current integrator
+function drawDiagnostics() {
+    drawTimeSeries(energyCtx, energyLog, 'drift', 'ΔE/E₀ (%)', '#ffaa00');
+    drawTimeSeries(phaseCtx, phaseErrorLog, 'error', 'Phase lag (°)', '#ff6b6b');
+}
+
+// Axis ranges of the phase portrait: θ in degrees, ω up to three times the small-angle ω₀
+function getPhasePortraitRange() {
+    return { thetaMax: 180, omegaMax: 3 * Math.sqrt(getGravityOmegaSquared(pivotDistance)) };
+}
+
+// Draw θ vs ω with energy contours, the separatrix, and the live trajectory or Poincaré section
+function drawPhasePortrait() {
+    const { thetaMax, omegaMax } = getPhasePortraitRange();
+    const omegaSquared = getGravityOmegaSquared(pivotDistance);
+    const toRad = Math.PI / 180;
+
+    const { toCanvasX, toCanvasY } = drawPlotAxes(portraitCtx, {
+        xMin: -thetaMax, xMax: thetaMax, yMin: -omegaMax, yMax: omegaMax,
+        xLabel: 'θ (°)',
+        yLabel: 'ω (rad/s)',
+        xDecimals: 0,
+        yDecimals: 1,
+        padding: 35
+    });
+
+    // Energy contours ω = ±√(2(E - ω₀²(1 - cos θ))), as fractions of the separatrix energy 2ω₀²
+    const separatrixEnergy = 2 * omegaSquared;
+    [0.1, 0.3, 0.5, 0.7, 0.9, 1, 1.3, 1.8].forEach(fraction => {
+        const energy = fraction * separatrixEnergy;
+        const isSeparatrix = fraction === 1;
+        portraitCtx.strokeStyle = isSeparatrix ? '#ff6b6b' : 'rgba(184, 184, 209, 0.3)';
+        portraitCtx.lineWidth = isSeparatrix ? 1.5 : 1;
+
+        [1, -1].forEach(sign => {
+            portraitCtx.beginPath();
+            let drawing = false;
+            for (let i = 0; i <= 200; i++) {
+                const thetaDeg = -thetaMax + i * 2 * thetaMax / 200;
+                const kinetic = energy - omegaSquared * (1 - Math.cos(thetaDeg * toRad));
+                if (kinetic < 0) {
+                    drawing = false;
+                    continue;
+                }
+                const x = toCanvasX(thetaDeg);
+                const y = toCanvasY(sign * Math.sqrt(2 * kinetic));
+                if (drawing) {
+                    portraitCtx.lineTo(x, y);
+                } else {
+                    portraitCtx.moveTo(x, y);
+                    drawing = true;
+                }
+            }
+            portraitCtx.stroke();
+        });
+    });
+
+    const inRange = (p) => Math.abs(p.omega) <= omegaMax;
+
+    if (poincareToggle.checked) {
+        portraitCtx.fillStyle = '#00ff88';
+        poincarePoints.filter(inRange).forEach(p => {
+            portraitCtx.beginPath();
+            portraitCtx.arc(toCanvasX(p.theta / toRad), toCanvasY(p.omega), 3, 0, Math.PI * 2);
+            portraitCtx.fill();
+        });
+        return;
+    }
+
+    // Trajectory, broken where θ wraps around from +180° to -180°
+    portraitCtx.strokeStyle = '#00d4ff';
+    portraitCtx.lineWidth = 1.5;
+    portraitCtx.beginPath();
+    phaseTrace.forEach((p, i) => {
+        const x = toCanvasX(p.theta / toRad);
+        const y = toCanvasY(Math.max(-omegaMax, Math.min(omegaMax, p.omega)));
+        if (i === 0 || Math.abs(p.theta - phaseTrace[i - 1].theta) > Math.PI) {
+            portraitCtx.moveTo(x, y);
+        } else {
+            portraitCtx.lineTo(x, y);
+        }
+    });
+    portraitCtx.stroke();
+
+    // Current state
+    const current = phaseTrace[phaseTrace.length - 1];
+    if (inRange(current)) {
+        portraitCtx.fillStyle = '#fff';
+        portraitCtx.beginPath();
+        portraitCtx.arc(toCanvasX(current.theta / toRad), toCanvasY(current.omega), 4, 0, Math.PI * 2);
+        portraitCtx.fill();
+    }
 }
 
 // Initial draw
+populatePivotOptions();
+updateDriveControls();
 init();
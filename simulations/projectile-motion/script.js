@@ -10,34 +10,144 @@ const slopeDisplay = document.getElementById('slopeDisplay');
 const gEffDisplay = document.getElementById('gEffDisplay');
 const sparkIntervalSlider = document.getElementById('sparkInterval');
 const sparkValueSpan = document.getElementById('sparkValue');
+const frictionSlider = document.getElementById('friction');
+const frictionValueSpan = document.getElementById('frictionValue');
+const dragSlider = document.getElementById('drag');
+const dragValueSpan = document.getElementById('dragValue');
+const crossTiltSlider = document.getElementById('crossTilt');
+const crossTiltValueSpan = document.getElementById('crossTiltValue');
+const restitutionSlider = document.getElementById('restitution');
+const restitutionValueSpan = document.getElementById('restitutionValue');
+const railFrictionSlider = document.getElementById('railFriction');
+const railFrictionValueSpan = document.getElementById('railFrictionValue');
+const multiBounceToggle = document.getElementById('multiBounce');
+const runDurationInput = document.getElementById('runDuration');
+const collisionTableBody = document.getElementById('collisionTableBody');
+const secondPuckToggle = document.getElementById('secondPuck');
+const puckMassInputs = [document.getElementById('puck1Mass'), document.getElementById('puck2Mass')];
+const puckRadiusInputs = [document.getElementById('puck1Radius'), document.getElementById('puck2Radius')];
+const targetXInput = document.getElementById('targetX');
+const targetYInput = document.getElementById('targetY');
+const targetSpeedInput = document.getElementById('targetSpeed');
+const targetAngleInput = document.getElementById('targetAngle');
+const puckRestitutionSlider = document.getElementById('puckRestitution');
+const puckRestitutionValueSpan = document.getElementById('puckRestitutionValue');
+const puckCollisionTableBody = document.getElementById('puckCollisionTableBody');
+const fitPuckSelect = document.getElementById('fitPuck');
+const flightResults = document.getElementById('flightResults');
+const flightTableBody = document.getElementById('flightTableBody');
+const flightNote = document.getElementById('flightNote');
+const overlayPreviewToggle = document.getElementById('overlayPreview');
+const previewDiscrepancy = document.getElementById('previewDiscrepancy');
 const resetBtn = document.getElementById('resetBtn');
 const clearDotsBtn = document.getElementById('clearDotsBtn');
 const speedDisplay = document.getElementById('speedDisplay');
 const directionDisplay = document.getElementById('directionDisplay');
+const launchSpeedInput = document.getElementById('launchSpeed');
+const launchAngleInput = document.getElementById('launchAngleInput');
+const startXInput = document.getElementById('startX');
+const startYInput = document.getElementById('startY');
+const fireBtn = document.getElementById('fireBtn');
+const repeatBtn = document.getElementById('repeatBtn');
+const batchSlopesInput = document.getElementById('batchSlopes');
+const batchBtn = document.getElementById('batchBtn');
+const batchStatus = document.getElementById('batchStatus');
+const batchResults = document.getElementById('batchResults');
+const batchTableBody = document.getElementById('batchTableBody');
+const analysisModeToggle = document.getElementById('analysisMode');
+const analysisPanel = document.getElementById('analysisPanel');
+const velocityDisplay = document.getElementById('velocityDisplay');
+const selectedDotsBody = document.getElementById('selectedDotsBody');
+const clearSelectionBtn = document.getElementById('clearSelectionBtn');
+const studentVxInput = document.getElementById('studentVx');
+const studentVyInput = document.getElementById('studentVy');
+const studentGEffInput = document.getElementById('studentGEff');
+const revealBtn = document.getElementById('revealBtn');
+const revealResults = document.getElementById('revealResults');
+const revealTableBody = document.getElementById('revealTableBody');
+const dotTableBody = document.getElementById('dotTableBody');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+const fitLaunchSelect = document.getElementById('fitLaunch');
+const positionUncertaintyInput = document.getElementById('positionUncertainty');
+const analyzeBtn = document.getElementById('analyzeBtn');
+const analysisResults = document.getElementById('analysisResults');
+const plotCanvas = document.getElementById('plotCanvas');
+const plotCtx = plotCanvas.getContext('2d');
+const differenceModeToggle = document.getElementById('differenceMode');
+const differencePanel = document.getElementById('differencePanel');
+const differencePrevBtn = document.getElementById('differencePrevBtn');
+const differenceNextBtn = document.getElementById('differenceNextBtn');
+const differenceAllBtn = document.getElementById('differenceAllBtn');
+const differenceStatus = document.getElementById('differenceStatus');
+const differenceDetail = document.getElementById('differenceDetail');
+const velocityPlotCanvas = document.getElementById('velocityPlotCanvas');
+const velocityPlotCtx = velocityPlotCanvas.getContext('2d');
 
 // Physical constants
 const g = 980; // cm/s²
 const pixelsPerCm = 5; // Scale: 5 pixels = 1 cm
+const restingSpeed = 1; // cm/s, wall approach speed below which the puck just stays in contact
+const maxPreviewTime = 60; // s, longest run the preview looks ahead for a single flight
+const dragPreviewTime = 3; // s, shorter look-ahead while dragging, since the preview is redone on every move
+const previewPathSteps = 10; // physics steps between points of the preview path
+
+// Fixed simulation clock, independent of the frame rate
+const timeStep = 0.001; // s per physics step (every spark interval is a whole number of steps)
+const maxFrameTime = 0.05; // s, longest real frame simulated at once (e.g. after a background tab)
 
 // Table dimensions (in cm)
 const tableWidth = canvas.width / pixelsPerCm;
 const tableHeight = canvas.height / pixelsPerCm;
 
+// Slope angle limits (degrees), matching the slider
+const minSlope = 1;
+const maxSlope = 15;
+
+// Finite-difference vector scales (canvas pixels per unit)
+const velocityVectorScale = 0.4; // px per cm/s
+const accelerationVectorScale = 0.3; // px per cm/s²
+
 // Simulation state
 let slopeAngle = 5; // degrees
 let sparkInterval = 40; // ms
-let puckRadius = 15; // pixels
-let puckRadiusCm = puckRadius / pixelsPerCm;
 
-// Puck state
-let puckX = tableWidth / 2; // cm
-let puckY = tableHeight / 4; // cm (start near top)
-let puckVx = 0; // cm/s
-let puckVy = 0; // cm/s
+// Air table imperfections (all zero for an ideal table)
+let frictionCoefficient = 0; // kinetic friction μ from residual contact
+let dragCoefficient = 0; // linear drag from uneven air flow (1/s)
+let crossTilt = 0; // sideways tilt of the table (degrees, positive lowers the right edge)
+
+// Puck-wall collisions
+let restitution = 0.8; // coefficient of restitution for the normal velocity
+let railFriction = 0; // Coulomb friction coefficient between puck and rail during an impact
+let multiBounce = false; // keep running through bounces instead of stopping at the landing
+let runDuration = 10; // s, length of a multi-bounce run
+let hasLanded = false; // puck has come back to the launch line at least once
+let collisions = []; // { launch, puck, t, wall, vBefore, vAfter, impulse, keBefore, keAfter } for every impact on the sheet
+
+// Puck-puck collisions
+let puckRestitution = 1; // 1 is elastic, 0 perfectly inelastic along the line of centres
+let puckCollisions = []; // { launch, t, pair, masses, before, after } for every puck-puck impact on the sheet
+
+// Preview of the last launch, kept to overlay on the actual path after the run
+let launchPrediction = null; // { paths, ticks } per puck, from predictTrajectory()
+let dragPrediction = null; // { settings, prediction } for the drag last previewed, so a redraw reuses it
+let overlayPreview = false;
+
+// Puck colours: body gradient, border and spark dots, one set per puck
+const puckColors = [
+    { light: '#ff6b6b', dark: '#cc4444', border: '#aa3333', dot: '#1a1a1a' },
+    { light: '#6bb5ff', dark: '#3a7fcc', border: '#2a5f99', dot: '#1d4fa0' }
+];
+
+// Create a puck at rest: position (cm), mass (kg) and radius (cm)
+// initialX and initialY are where Reset puts it back
+function createPuck(x, y, mass, radius) {
+    return { x, y, vx: 0, vy: 0, mass, radius, initialX: x, initialY: y };
+}
 
-// Initial position for reset
-let initialPuckX = tableWidth / 2;
-let initialPuckY = tableHeight / 4;
+// Pucks on the table: the first is the one the launcher and drag-to-launch fire, the rest are targets
+let pucks = [createPuck(tableWidth / 2, tableHeight / 4, 0.05, 3)];
 
 // Interaction state
 let isDragging = false;
@@ -50,14 +160,17 @@ let currentMouseY = 0;
 let isAnimating = false;
 let animationId = null;
 let lastTime = 0;
-let lastSparkTime = 0;
+let stepAccumulator = 0; // real time not yet simulated (s)
+let stepCount = 0; // physics steps since launch
+let sparkSteps = 40; // physics steps between sparks, fixed at launch
 let launchY = 0; // Y position at launch
 let launchX = 0; // X position at launch
 let launchAngle = 0; // Elevation angle at launch (degrees)
 let hasMovedFromStart = false; // Track if puck has moved away from start
 let trajectoryComplete = false; // Track if trajectory finished
 let maxHeight = 0; // Maximum height reached (cm)
-let minY = 0; // Minimum Y position (highest point, since Y increases downward)
+let apexX = 0; // Apex position (cm), found to within the root-finding tolerance inside the step
+let apexY = 0;
 let finalX = 0; // Final X position for range calculation
 let initialVx = 0; // Initial velocity x component
 let initialVy = 0; // Initial velocity y component
@@ -66,8 +179,30 @@ let timeToMaxHeight = 0; // Time to reach maximum height
 let simulationTime = 0; // Track simulation time
 let reachedMaxHeight = false; // Flag to track if max height was reached
 
+// Launcher state
+let lastLaunch = null; // { speed, angle, x, y } of the most recent launch
+let batchQueue = null; // slope angles still to fire in a batch, null when no batch is running
+let batchRows = []; // { slope, gEff, range, predictedRange } per completed batch launch
+
+// Analysis mode state: answers hidden, dots measured with on-canvas tools
+let analysisMode = false;
+let answersRevealed = false;
+let selectedDots = []; // indices into sparkDots, in the order they were picked
+let ruler = { x1: 20, y1: 95, x2: 70, y2: 95 }; // end points (cm)
+let protractor = { x: 110, y: 90, armAngle: 45 }; // center (cm) and arm angle above horizontal (degrees)
+let toolDrag = null; // { target, offsetX, offsetY } while a tool is being dragged
+
+// Finite-difference mode: velocity and acceleration worked out from consecutive dots
+let differenceMode = false;
+let differenceStep = null; // number of velocity intervals shown, null to show all
+
 // Spark dots (marks on paper)
+// Each dot is { x, y, tick, t, launch }: tick counts spark intervals since launch (null for the
+// landing mark, which is not a timer spark) and t is the simulated time (s)
 let sparkDots = [];
+let launchLog = []; // { launch, slope, sparkInterval, friction, drag, crossTilt, restitution, railFriction,
+                   //   puckRestitution, masses, radii } per launch
+let launchCount = 0;
 
 // Convert canvas coordinates to physics coordinates (cm)
 function canvasToPhysics(canvasX, canvasY) {
@@ -85,12 +220,13 @@ function physicsToCanvas(physX, physY) {
     };
 }
 
-// Check if point is inside puck
+// Check if point is inside the launched puck
 function isInsidePuck(canvasX, canvasY) {
-    const pos = physicsToCanvas(puckX, puckY);
+    const puck = pucks[0];
+    const pos = physicsToCanvas(puck.x, puck.y);
     const dx = canvasX - pos.x;
     const dy = canvasY - pos.y;
-    return Math.sqrt(dx * dx + dy * dy) <= puckRadius + 10; // 10px tolerance
+    return Math.sqrt(dx * dx + dy * dy) <= puck.radius * pixelsPerCm + 10; // 10px tolerance
 }
 
 // Draw the air table
@@ -134,41 +270,43 @@ function drawTable() {
     ctx.strokeRect(0, 0, canvas.width, canvas.height);
 }
 
-// Draw spark dots
+// Draw spark dots, each puck's trace in its own colour
 function drawSparkDots() {
-    ctx.fillStyle = '#1a1a1a';
     sparkDots.forEach(dot => {
         const pos = physicsToCanvas(dot.x, dot.y);
+        ctx.fillStyle = puckColors[dot.puck].dot;
         ctx.beginPath();
         ctx.arc(pos.x, pos.y, 3, 0, Math.PI * 2);
         ctx.fill();
     });
 }
 
-// Draw the puck
-function drawPuck() {
-    const pos = physicsToCanvas(puckX, puckY);
+// Draw a puck
+function drawPuck(puck, index) {
+    const pos = physicsToCanvas(puck.x, puck.y);
+    const radius = puck.radius * pixelsPerCm;
+    const colors = puckColors[index];
 
     // Puck shadow
     ctx.fillStyle = 'rgba(0, 0, 0, 0.2)';
     ctx.beginPath();
-    ctx.arc(pos.x + 3, pos.y + 3, puckRadius, 0, Math.PI * 2);
+    ctx.arc(pos.x + 3, pos.y + 3, radius, 0, Math.PI * 2);
     ctx.fill();
 
     // Puck body
     const puckGradient = ctx.createRadialGradient(
         pos.x - 5, pos.y - 5, 0,
-        pos.x, pos.y, puckRadius
+        pos.x, pos.y, radius
     );
-    puckGradient.addColorStop(0, '#ff6b6b');
-    puckGradient.addColorStop(1, '#cc4444');
+    puckGradient.addColorStop(0, colors.light);
+    puckGradient.addColorStop(1, colors.dark);
     ctx.fillStyle = puckGradient;
     ctx.beginPath();
-    ctx.arc(pos.x, pos.y, puckRadius, 0, Math.PI * 2);
+    ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
     ctx.fill();
 
     // Puck border
-    ctx.strokeStyle = '#aa3333';
+    ctx.strokeStyle = colors.border;
     ctx.lineWidth = 2;
     ctx.stroke();
 
@@ -179,75 +317,109 @@ function drawPuck() {
     ctx.fill();
 }
 
-// Calculate predicted trajectory points
-function calculateTrajectory(startX, startY, vx, vy) {
-    const points = [];
-    const slopeRad = slopeAngle * Math.PI / 180;
-    const ay = g * Math.sin(slopeRad);
-
-    let x = startX;
-    let y = startY;
-    let currentVy = vy;
-    const dt = 0.01; // Time step for trajectory calculation
-
-    points.push({ x, y });
-
-    // Calculate trajectory until it returns to start Y or hits boundary
-    let hasMovedAway = false;
-    const maxIterations = 2000;
-
-    for (let i = 0; i < maxIterations; i++) {
-        // Update position
-        x += vx * dt;
-        y += currentVy * dt + 0.5 * ay * dt * dt;
-        currentVy += ay * dt;
+// Predict a launch by running it ahead of time on copies of the pucks
+// Same fixed steps, same updatePhysics() (walls, friction, other pucks) and same stop rules as the real run,
+// so the preview and the run can only differ if a setting changes in between
+// Looks ahead at most maxTime seconds; a preview cut short is marked truncated and has no end point
+// Returns each puck's path and its positions at the spark ticks, or null if the target pucks cannot be placed
+function predictTrajectory(settings, maxTime = Infinity) {
+    const bodies = pucks.map(p => ({ ...p }));
+    if (bodies.length > 1) {
+        const result = getTargetStart(settings);
+        if (result.error) return null;
+        setPuckLaunch(bodies[1], result.target);
+    }
+    setPuckLaunch(bodies[0], settings);
+
+    const puck = bodies[0];
+    const launchLine = settings.y;
+    const tickSteps = Math.round(sparkInterval / 1000 / timeStep);
+    const fullTime = isTimedRun() ? runDuration : maxPreviewTime;
+    const maxSteps = Math.round(Math.min(maxTime, fullTime) / timeStep);
+    const paths = bodies.map(b => [{ x: b.x, y: b.y }]);
+    const ticks = bodies.map(b => [{ x: b.x, y: b.y }]);
+    let moved = false;
+    let stopped = false;
+
+    for (let n = 1; n <= maxSteps; n++) {
+        const start = { x: puck.x, y: puck.y, vx: puck.vx, vy: puck.vy };
+        const accel = getAcceleration(puck.vx, puck.vy);
+
+        updatePhysics(timeStep, bodies, false);
+
+        if (n % tickSteps === 0) {
+            bodies.forEach((b, k) => ticks[k].push({ x: b.x, y: b.y }));
+        }
+        if (n % previewPathSteps === 0) {
+            bodies.forEach((b, k) => paths[k].push({ x: b.x, y: b.y }));
+        }
 
-        // Check if moved away from start
-        if (!hasMovedAway && Math.abs(y - startY) > 1) {
-            hasMovedAway = true;
+        if (!moved && Math.abs(puck.y - launchLine) > 1) {
+            moved = true;
         }
 
-        // Stop if returned to start Y (after moving away)
-        if (hasMovedAway && y >= startY) {
-            points.push({ x, y: startY });
+        // A single flight ends on the launch line, as in stepSimulation()
+        if (!isTimedRun() && moved && puck.y >= launchLine) {
+            const crossing = getLaunchLineCrossing(start, accel, puck, isStepSmooth(start, accel, puck), launchLine);
+            paths[0].push({ x: crossing.x, y: launchLine });
+            stopped = true;
             break;
         }
-
-        // Stop if out of bounds
-        if (x < 0 || x > tableWidth || y < 0 || y > tableHeight) {
+        if (!isTimedRun() && puck.y >= tableHeight - puck.radius - 1) {
+            stopped = true;
             break;
         }
 
-        points.push({ x, y });
+        if (bodies.every(b => b.vx === 0 && b.vy === 0)) {
+            const { ax, ay } = getAcceleration(0, 0);
+            if (ax === 0 && ay === 0) {
+                stopped = true;
+                break;
+            }
+        }
     }
+    const truncated = !stopped && maxTime < fullTime;
 
-    return points;
-}
+    // End every path where its puck stopped
+    bodies.forEach((b, k) => {
+        if (k > 0 || isTimedRun() || truncated) paths[k].push({ x: b.x, y: b.y });
+    });
 
-// Draw ghost trajectory
-function drawGhostTrajectory(vx, vy) {
-    const trajectoryPoints = calculateTrajectory(puckX, puckY, vx, vy);
+    return { paths, ticks, truncated };
+}
 
-    if (trajectoryPoints.length < 2) return;
+// Draw a predicted launch: a dashed path and hollow rings at the predicted spark ticks
+function drawGhostTrajectory(prediction) {
+    if (!prediction) return;
 
-    ctx.strokeStyle = 'rgba(0, 212, 255, 0.4)';
-    ctx.lineWidth = 2;
-    ctx.setLineDash([8, 4]);
+    prediction.paths.forEach((path, k) => {
+        if (path.length < 2) return;
 
-    ctx.beginPath();
-    const startPos = physicsToCanvas(trajectoryPoints[0].x, trajectoryPoints[0].y);
-    ctx.moveTo(startPos.x, startPos.y);
+        ctx.strokeStyle = k === 0 ? 'rgba(0, 212, 255, 0.6)' : 'rgba(58, 127, 204, 0.6)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([8, 4]);
 
-    for (let i = 1; i < trajectoryPoints.length; i++) {
-        const pos = physicsToCanvas(trajectoryPoints[i].x, trajectoryPoints[i].y);
-        ctx.lineTo(pos.x, pos.y);
-    }
-    ctx.stroke();
-    ctx.setLineDash([]);
+        ctx.beginPath();
+        const startPos = physicsToCanvas(path[0].x, path[0].y);
+        ctx.moveTo(startPos.x, startPos.y);
+        for (let i = 1; i < path.length; i++) {
+            const pos = physicsToCanvas(path[i].x, path[i].y);
+            ctx.lineTo(pos.x, pos.y);
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
 
-    // Draw predicted landing point
-    if (trajectoryPoints.length > 1) {
-        const endPoint = trajectoryPoints[trajectoryPoints.length - 1];
+        // Predicted spark ticks
+        prediction.ticks[k].forEach(tick => {
+            const pos = physicsToCanvas(tick.x, tick.y);
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, 4, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+
+        // Draw predicted end point, unless the look-ahead stopped short of it
+        if (prediction.truncated) return;
+        const endPoint = path[path.length - 1];
         const endPos = physicsToCanvas(endPoint.x, endPoint.y);
 
         ctx.fillStyle = 'rgba(0, 212, 255, 0.5)';
@@ -258,14 +430,46 @@ function drawGhostTrajectory(vx, vy) {
         ctx.strokeStyle = 'rgba(0, 212, 255, 0.8)';
         ctx.lineWidth = 2;
         ctx.stroke();
-    }
+    });
+}
+
+// After a run, overlay the preview of that launch on the dots it actually left
+function drawPreviewOverlay() {
+    if (!overlayPreview || isAnimating || isDragging) return;
+    drawGhostTrajectory(launchPrediction);
+}
+
+// Largest distance between a predicted spark tick and the dot the timer actually made, over every puck
+function getPreviewDiscrepancy() {
+    if (!launchPrediction || launchLog.length === 0) return null;
+
+    const launch = launchLog[launchLog.length - 1].launch;
+    let largest = 0;
+    let compared = 0;
+    sparkDots.forEach(dot => {
+        if (dot.launch !== launch || dot.tick === null) return;
+        const predicted = launchPrediction.ticks[dot.puck] && launchPrediction.ticks[dot.puck][dot.tick];
+        if (!predicted) return;
+        largest = Math.max(largest, Math.hypot(dot.x - predicted.x, dot.y - predicted.y));
+        compared++;
+    });
+
+    return compared > 0 ? { largest, compared } : null;
+}
+
+// Show how far the run strayed from its preview
+function updatePreviewDiscrepancy() {
+    const discrepancy = overlayPreview && !isAnimating ? getPreviewDiscrepancy() : null;
+    previewDiscrepancy.textContent = discrepancy
+        ? `Preview vs. run: largest tick offset ${discrepancy.largest.toExponential(1)} cm over ${discrepancy.compared} dots`
+        : '';
 }
 
 // Draw velocity arrow during drag
 function drawVelocityArrow() {
     if (!isDragging) return;
 
-    const pos = physicsToCanvas(puckX, puckY);
+    const pos = physicsToCanvas(pucks[0].x, pucks[0].y);
 
     // Calculate velocity direction (opposite to drag)
     const dx = dragStartX - currentMouseX;
@@ -274,13 +478,21 @@ function drawVelocityArrow() {
 
     if (distance < 5) return; // Too small to show
 
-    // Calculate initial velocity for trajectory preview
+    // Predict the launch this drag would make, exactly as mouseup will fire it
     const velocityScale = 3; // cm/s per pixel of drag
-    const vx = (dx / distance) * distance * velocityScale;
-    const vy = (dy / distance) * distance * velocityScale;
+    const settings = {
+        speed: distance * velocityScale,
+        angle: Math.atan2(-dy, dx) * 180 / Math.PI,
+        x: pucks[0].x,
+        y: pucks[0].y
+    };
 
-    // Draw ghost trajectory first (so it's behind the arrow)
-    drawGhostTrajectory(vx, vy);
+    // Draw ghost trajectory first (so it's behind the arrow), reusing it while the drag has not changed
+    const cached = dragPrediction && ['speed', 'angle', 'x', 'y'].every(key => dragPrediction.settings[key] === settings[key]);
+    if (!cached) {
+        dragPrediction = { settings, prediction: predictTrajectory(settings, dragPreviewTime) };
+    }
+    drawGhostTrajectory(dragPrediction.prediction);
 
     // Scale factor for arrow (visual representation)
     const maxArrowLength = 150;
@@ -334,9 +546,149 @@ function drawVelocityArrow() {
     directionDisplay.textContent = direction.toFixed(1);
 }
 
+// Highlight the selected dots with their pick order
+function drawSelectedDots() {
+    ctx.font = 'bold 11px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+
+    selectedDots.forEach((index, order) => {
+        const pos = physicsToCanvas(sparkDots[index].x, sparkDots[index].y);
+        ctx.strokeStyle = '#e63946';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, 7, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.fillStyle = '#e63946';
+        ctx.fillText(String(order + 1), pos.x + 9, pos.y - 6);
+    });
+}
+
+// Draw the ruler: a translucent strip with 1 cm ticks, labelled every 10 cm
+function drawRuler() {
+    const start = physicsToCanvas(ruler.x1, ruler.y1);
+    const end = physicsToCanvas(ruler.x2, ruler.y2);
+    const lengthCm = Math.hypot(ruler.x2 - ruler.x1, ruler.y2 - ruler.y1);
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+
+    ctx.save();
+    ctx.translate(start.x, start.y);
+    ctx.rotate(angle);
+
+    const lengthPx = lengthCm * pixelsPerCm;
+    ctx.fillStyle = 'rgba(233, 196, 106, 0.55)';
+    ctx.fillRect(0, -12, lengthPx, 24);
+    ctx.strokeStyle = '#8b6914';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(0, -12, lengthPx, 24);
+
+    ctx.fillStyle = '#5c4400';
+    ctx.font = '9px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    for (let cm = 0; cm <= lengthCm; cm++) {
+        const tick = cm % 10 === 0 ? 10 : cm % 5 === 0 ? 7 : 4;
+        ctx.beginPath();
+        ctx.moveTo(cm * pixelsPerCm, -12);
+        ctx.lineTo(cm * pixelsPerCm, -12 + tick);
+        ctx.stroke();
+        if (cm % 10 === 0) {
+            ctx.fillText(String(cm), cm * pixelsPerCm, 8);
+        }
+    }
+    ctx.restore();
+
+    // End handles
+    ctx.fillStyle = '#8b6914';
+    [start, end].forEach(pos => {
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, 5, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    // Length readout
+    ctx.fillStyle = '#333';
+    ctx.font = 'bold 12px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(lengthCm.toFixed(1) + ' cm', (start.x + end.x) / 2, (start.y + end.y) / 2 - 18);
+}
+
+// Draw the protractor: a half disc with 10° ticks and a movable arm
+function drawProtractor() {
+    const center = physicsToCanvas(protractor.x, protractor.y);
+    const radius = 60;
+    const armRad = protractor.armAngle * Math.PI / 180;
+
+    ctx.fillStyle = 'rgba(0, 212, 255, 0.15)';
+    ctx.strokeStyle = '#0077aa';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, radius, Math.PI, 0);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    for (let deg = 0; deg <= 180; deg += 10) {
+        const rad = deg * Math.PI / 180;
+        const inner = deg % 30 === 0 ? radius - 10 : radius - 5;
+        ctx.beginPath();
+        ctx.moveTo(center.x + inner * Math.cos(rad), center.y - inner * Math.sin(rad));
+        ctx.lineTo(center.x + radius * Math.cos(rad), center.y - radius * Math.sin(rad));
+        ctx.stroke();
+    }
+
+    // Arm, measured counterclockwise from the baseline (up the slope is positive)
+    const armEnd = getProtractorArmEnd();
+    ctx.strokeStyle = '#0077aa';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(center.x, center.y);
+    ctx.lineTo(armEnd.x, armEnd.y);
+    ctx.stroke();
+
+    ctx.fillStyle = '#0077aa';
+    [center, armEnd].forEach(pos => {
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, 5, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    ctx.fillStyle = '#333';
+    ctx.font = 'bold 12px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillText(protractor.armAngle.toFixed(1) + '°', center.x, center.y + 16);
+
+    // Keep the arc readable by marking the measured angle
+    ctx.strokeStyle = '#e63946';
+    ctx.beginPath();
+    ctx.arc(center.x, center.y, 20, 0, -armRad, armRad > 0);
+    ctx.stroke();
+}
+
+// Canvas position of the protractor arm handle
+function getProtractorArmEnd() {
+    const center = physicsToCanvas(protractor.x, protractor.y);
+    const armRad = protractor.armAngle * Math.PI / 180;
+    const armLength = 80;
+    return { x: center.x + armLength * Math.cos(armRad), y: center.y - armLength * Math.sin(armRad) };
+}
+
+// Draw the measuring tools of analysis mode
+function drawMeasurementTools() {
+    if (!analysisMode) return;
+
+    drawSelectedDots();
+    drawRuler();
+    drawProtractor();
+}
+
 // Draw launch angle label on paper
+// Analysis mode keeps these answers hidden until the student reveals them
 function drawAngleLabel() {
     if (!trajectoryComplete || sparkDots.length < 2) return;
+    if (analysisMode && !answersRevealed) return;
 
     // Draw flight time info on top left
     ctx.fillStyle = '#333';
@@ -349,7 +701,6 @@ function drawAngleLabel() {
     // Get positions
     const startPos = physicsToCanvas(launchX, launchY);
     const endPos = physicsToCanvas(finalX, launchY);
-    const highestPos = physicsToCanvas(launchX + (finalX - launchX) / 2, minY); // Approximate apex
 
     // Draw angle arc
     const arcRadius = 40;
@@ -423,15 +774,14 @@ function drawAngleLabel() {
 
     // Draw max height line and label
     if (maxHeight > 1) {
-        const apexX = startPos.x + (endPos.x - startPos.x) / 2;
-        const apexY = physicsToCanvas(0, minY).y;
+        const apexPos = physicsToCanvas(apexX, apexY);
 
         ctx.strokeStyle = '#e9c46a';
         ctx.lineWidth = 2;
         ctx.setLineDash([4, 4]);
         ctx.beginPath();
-        ctx.moveTo(apexX, startPos.y);
-        ctx.lineTo(apexX, apexY);
+        ctx.moveTo(apexPos.x, startPos.y);
+        ctx.lineTo(apexPos.x, apexPos.y);
         ctx.stroke();
         ctx.setLineDash([]);
 
@@ -439,16 +789,16 @@ function drawAngleLabel() {
         ctx.fillStyle = '#e9c46a';
         // Bottom arrow
         ctx.beginPath();
-        ctx.moveTo(apexX, startPos.y);
-        ctx.lineTo(apexX - 4, startPos.y - 8);
-        ctx.lineTo(apexX + 4, startPos.y - 8);
+        ctx.moveTo(apexPos.x, startPos.y);
+        ctx.lineTo(apexPos.x - 4, startPos.y - 8);
+        ctx.lineTo(apexPos.x + 4, startPos.y - 8);
         ctx.closePath();
         ctx.fill();
         // Top arrow
         ctx.beginPath();
-        ctx.moveTo(apexX, apexY);
-        ctx.lineTo(apexX - 4, apexY + 8);
-        ctx.lineTo(apexX + 4, apexY + 8);
+        ctx.moveTo(apexPos.x, apexPos.y);
+        ctx.lineTo(apexPos.x - 4, apexPos.y + 8);
+        ctx.lineTo(apexPos.x + 4, apexPos.y + 8);
         ctx.closePath();
         ctx.fill();
 
@@ -456,7 +806,18 @@ function drawAngleLabel() {
         ctx.fillStyle = '#e9c46a';
         ctx.font = 'bold 13px Arial';
         ctx.textAlign = 'left';
-        ctx.fillText('H = ' + maxHeight.toFixed(1) + ' cm', apexX + 10, (startPos.y + apexY) / 2);
+        ctx.fillText('H = ' + maxHeight.toFixed(1) + ' cm', apexPos.x + 10, (startPos.y + apexPos.y) / 2);
+
+        // Mark the apex where it actually happened
+        ctx.strokeStyle = '#e9c46a';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(apexPos.x - 7, apexPos.y - 7);
+        ctx.lineTo(apexPos.x + 7, apexPos.y + 7);
+        ctx.moveTo(apexPos.x + 7, apexPos.y - 7);
+        ctx.lineTo(apexPos.x - 7, apexPos.y + 7);
+        ctx.stroke();
+        ctx.fillText('apex', apexPos.x + 10, apexPos.y - 8);
     }
 
     // Draw initial velocity vector and components from launch point
@@ -559,235 +920,979 @@ function draw() {
     drawTable();
     drawSparkDots();
     drawAngleLabel();
-    drawPuck();
+    pucks.forEach(drawPuck);
+    drawPreviewOverlay();
     drawVelocityArrow();
+    drawMeasurementTools();
+    drawDifferenceVectors();
 }
 
-// Update physics
-function updatePhysics(dt) {
-    // Acceleration due to slope (only in y direction - down the slope)
+// Acceleration of the puck (cm/s²) for a given velocity
+// Gravity along the slope and the cross tilt, minus linear drag and kinetic friction
+function getAcceleration(vx, vy) {
     const slopeRad = slopeAngle * Math.PI / 180;
-    const ay = g * Math.sin(slopeRad); // cm/s²
-    const ax = 0;
+    const tiltRad = crossTilt * Math.PI / 180;
+
+    // Driving acceleration: slope pulls down the table (+y), cross tilt pulls sideways (+x)
+    let ax = g * Math.sin(tiltRad) - dragCoefficient * vx;
+    let ay = g * Math.sin(slopeRad) - dragCoefficient * vy;
+
+    // Kinetic friction opposes the motion with μ times the normal acceleration
+    const frictionAccel = frictionCoefficient * g * Math.cos(slopeRad) * Math.cos(tiltRad);
+    const speed = Math.sqrt(vx * vx + vy * vy);
+    if (frictionAccel > 0 && speed > 1e-9) {
+        ax -= frictionAccel * vx / speed;
+        ay -= frictionAccel * vy / speed;
+    } else if (frictionAccel > 0) {
+        // At rest, friction cancels as much of the driving force as it can
+        const driving = Math.sqrt(ax * ax + ay * ay);
+        const scale = driving > frictionAccel ? (driving - frictionAccel) / driving : 0;
+        ax *= scale;
+        ay *= scale;
+    }
 
-    // Update velocity
-    puckVx += ax * dt;
-    puckVy += ay * dt;
+    return { ax, ay, frictionAccel };
+}
+
+// Update physics: move every puck, then resolve wall and puck-puck collisions
+// Previews pass their own copies of the pucks and record = false, so the collision tables are left alone
+function updatePhysics(dt, bodies = pucks, record = true) {
+    bodies.forEach(puck => movePuck(puck, dt));
+    bodies.forEach((puck, index) => collideWithWalls(puck, index, record));
 
-    // Update position
-    puckX += puckVx * dt;
-    puckY += puckVy * dt;
+    for (let i = 0; i < bodies.length; i++) {
+        for (let j = i + 1; j < bodies.length; j++) {
+            collidePucks(bodies, i, j, record);
+        }
+    }
+}
+
+// Advance one puck by dt under the table forces
+function movePuck(puck, dt) {
+    const { ax, ay, frictionAccel } = getAcceleration(puck.vx, puck.vy);
+
+    // Update position with the start-of-step velocity plus ½at², exact for constant acceleration
+    // (drag and friction change a within a step, but at this step size the error is far below a dot width)
+    puck.x += puck.vx * dt + 0.5 * ax * dt * dt;
+    puck.y += puck.vy * dt + 0.5 * ay * dt * dt;
+
+    // Update velocity
+    const prevVx = puck.vx;
+    const prevVy = puck.vy;
+    puck.vx += ax * dt;
+    puck.vy += ay * dt;
+
+    // Friction can stop the puck but never reverse it: settle at rest instead of jittering about zero
+    if (frictionAccel > 0 && puck.vx * prevVx + puck.vy * prevVy < 0 &&
+        Math.sqrt(puck.vx * puck.vx + puck.vy * puck.vy) < frictionAccel * dt) {
+        puck.vx = 0;
+        puck.vy = 0;
+    }
+}
 
-    // Boundary collisions
-    const margin = puckRadiusCm;
+// Boundary collisions: each wall is given by its inward normal
+function collideWithWalls(puck, index, record) {
+    const margin = puck.radius;
 
     // Left/Right walls
-    if (puckX < margin) {
-        puckX = margin;
-        puckVx = -puckVx * 0.8; // Some energy loss on collision
+    if (puck.x < margin) {
+        puck.x = margin + collideWithWall(puck, index, 'left', 1, 0, margin - puck.x, record);
     }
-    if (puckX > tableWidth - margin) {
-        puckX = tableWidth - margin;
-        puckVx = -puckVx * 0.8;
+    if (puck.x > tableWidth - margin) {
+        puck.x = tableWidth - margin - collideWithWall(puck, index, 'right', -1, 0, puck.x - (tableWidth - margin), record);
     }
 
     // Top/Bottom walls
-    if (puckY < margin) {
-        puckY = margin;
-        puckVy = -puckVy * 0.8;
+    if (puck.y < margin) {
+        puck.y = margin + collideWithWall(puck, index, 'top', 0, 1, margin - puck.y, record);
     }
-    if (puckY > tableHeight - margin) {
-        puckY = tableHeight - margin;
-        puckVy = -puckVy * 0.8;
+    if (puck.y > tableHeight - margin) {
+        puck.y = tableHeight - margin - collideWithWall(puck, index, 'bottom', 0, -1, puck.y - (tableHeight - margin), record);
     }
 }
 
-// Animation loop
-function animate(timestamp) {
-    if (!isAnimating) return;
+// Kinetic energy (mJ) of a mass (kg) at a velocity in cm/s
+function getKineticEnergy(mass, vx, vy) {
+    return 0.5 * mass * (vx * vx + vy * vy) / 1e4 * 1000;
+}
 
-    if (lastTime === 0) {
-        lastTime = timestamp;
-        lastSparkTime = timestamp;
+// Momentum (mN·s) of a mass (kg) at a velocity in cm/s
+function getMomentum(mass, vx, vy) {
+    return { px: mass * vx / 100 * 1000, py: mass * vy / 100 * 1000 };
+}
+
+// Apply a wall impact to a puck's velocity, with inward wall normal (nx, ny)
+// The normal velocity is reversed and scaled by the restitution; rail friction removes tangential
+// velocity up to μ times the normal impulse, but never more than there is
+// Returns how far the puck ends up from the wall, given how far it had overshot
+function collideWithWall(puck, index, wall, nx, ny, overshoot, record) {
+    const vn = puck.vx * nx + puck.vy * ny;
+
+    // A slow approach is resting contact, not an impact: just cancel the normal velocity
+    if (vn > -restingSpeed) {
+        if (vn < 0) {
+            puck.vx -= vn * nx;
+            puck.vy -= vn * ny;
+        }
+        return 0;
     }
 
-    const dt = (timestamp - lastTime) / 1000; // Convert to seconds
-    lastTime = timestamp;
+    const tx = -ny;
+    const ty = nx;
+    const vt = puck.vx * tx + puck.vy * ty;
+
+    // Impulses per unit mass (cm/s)
+    const jn = -(1 + restitution) * vn;
+    const jt = -Math.sign(vt) * Math.min(railFriction * jn, Math.abs(vt));
+
+    const vBefore = { vx: puck.vx, vy: puck.vy };
+    puck.vx += jn * nx + jt * tx;
+    puck.vy += jn * ny + jt * ty;
+
+    if (record) {
+        collisions.push({
+            launch: launchCount,
+            puck: index,
+            t: simulationTime,
+            wall,
+            vBefore,
+            vAfter: { vx: puck.vx, vy: puck.vy },
+            impulse: puck.mass * Math.sqrt(jn * jn + jt * jt) / 100 * 1000, // mN·s
+            keBefore: getKineticEnergy(puck.mass, vBefore.vx, vBefore.vy),
+            keAfter: getKineticEnergy(puck.mass, puck.vx, puck.vy)
+        });
+        updateCollisionTable();
+    }
 
-    // Store previous velocity to detect max height
-    const prevVy = puckVy;
+    // The overshoot is reflected, shortened by the restitution like the normal velocity
+    return overshoot * restitution;
+}
 
-    // Update physics with small timesteps for accuracy
-    const physicsSteps = 10;
-    const physDt = dt / physicsSteps;
-    for (let i = 0; i < physicsSteps; i++) {
-        updatePhysics(physDt);
-    }
+// Resolve contact between pucks i and j: separate them, then exchange an impulse along the line of centres
+// The pucks are frictionless discs, so the tangential velocities are unchanged
+function collidePucks(bodies, i, j, record) {
+    const a = bodies[i];
+    const b = bodies[j];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const contact = a.radius + b.radius;
+    if (distance >= contact || distance === 0) return;
+
+    const nx = dx / distance;
+    const ny = dy / distance;
+    const invA = 1 / a.mass;
+    const invB = 1 / b.mass;
+
+    // Push apart to touching, the lighter puck moving further
+    const overlap = contact - distance;
+    a.x -= nx * overlap * invA / (invA + invB);
+    a.y -= ny * overlap * invA / (invA + invB);
+    b.x += nx * overlap * invB / (invA + invB);
+    b.y += ny * overlap * invB / (invA + invB);
+
+    // Normal velocity of b relative to a; negative when closing
+    const vRel = (b.vx - a.vx) * nx + (b.vy - a.vy) * ny;
+    if (vRel >= 0) return;
+
+    // A slow approach is resting contact (e.g. pucks stacked against a rail): stop closing, record nothing
+    const resting = vRel > -restingSpeed;
+    const e = resting ? 0 : puckRestitution;
+    const impulse = -(1 + e) * vRel / (invA + invB); // kg·cm/s
+
+    const before = [{ vx: a.vx, vy: a.vy }, { vx: b.vx, vy: b.vy }];
+    a.vx -= impulse * invA * nx;
+    a.vy -= impulse * invA * ny;
+    b.vx += impulse * invB * nx;
+    b.vy += impulse * invB * ny;
+
+    if (resting || !record) return;
+
+    puckCollisions.push({
+        launch: launchCount,
+        t: simulationTime,
+        pair: [i, j],
+        masses: [a.mass, b.mass],
+        before,
+        after: [{ vx: a.vx, vy: a.vy }, { vx: b.vx, vy: b.vy }]
+    });
+    updatePuckCollisionTable();
+}
 
-    // Track simulation time
-    simulationTime += dt;
+// Position and velocity of a puck tau seconds into a step, from its start-of-step state and acceleration
+// This is the same constant-acceleration motion movePuck() applies over the whole step
+function getStepState(start, accel, tau) {
+    return {
+        x: start.x + start.vx * tau + 0.5 * accel.ax * tau * tau,
+        y: start.y + start.vy * tau + 0.5 * accel.ay * tau * tau,
+        vx: start.vx + accel.ax * tau,
+        vy: start.vy + accel.ay * tau
+    };
+}
 
-    // Detect when max height is reached (Vy changes from negative to positive)
-    if (!reachedMaxHeight && prevVy < 0 && puckVy >= 0) {
-        reachedMaxHeight = true;
-        timeToMaxHeight = simulationTime;
+// Find where f changes sign between a and b by bisection
+function findRoot(f, a, b) {
+    let fa = f(a);
+    for (let i = 0; i < 60; i++) {
+        const mid = (a + b) / 2;
+        const fm = f(mid);
+        if ((fm < 0) === (fa < 0)) {
+            a = mid;
+            fa = fm;
+        } else {
+            b = mid;
+        }
     }
+    return (a + b) / 2;
+}
 
-    // Add spark dot at intervals
-    if (timestamp - lastSparkTime >= sparkInterval) {
-        sparkDots.push({ x: puckX, y: puckY });
-        lastSparkTime = timestamp;
-    }
+// Time into the step when an event function of the in-step state crosses zero
+// When a collision or a friction stop changed the motion within the step the polynomial no longer
+// describes it, and the event is put at the end of the step as before
+function findEventTime(start, accel, smooth, eventFunction) {
+    if (!smooth) return timeStep;
+    return findRoot(tau => eventFunction(getStepState(start, accel, tau)), 0, timeStep);
+}
 
-    // Draw
-    draw();
+// Whether a puck followed the in-step polynomial, i.e. nothing knocked it off during the step
+function isStepSmooth(start, accel, puck) {
+    const end = getStepState(start, accel, timeStep);
+    return Math.abs(end.x - puck.x) < 1e-9 && Math.abs(end.y - puck.y) < 1e-9 &&
+        Math.abs(end.vx - puck.vx) < 1e-9 && Math.abs(end.vy - puck.vy) < 1e-9;
+}
+
+// Where a puck crossed the launch line during a step: time into the step and x position
+function getLaunchLineCrossing(start, accel, puck, smooth, launchLine) {
+    const tau = findEventTime(start, accel, smooth && start.y < launchLine, state => state.y - launchLine);
+    return { tau, x: smooth ? getStepState(start, accel, tau).x : puck.x };
+}
+
+// Advance the simulation by one fixed step
+// Everything measured (sparks, apex, landing) happens here, so the dot sheet only depends on the launch
+// Apex, landing and range are measured on the launched puck
+function stepSimulation() {
+    const puck = pucks[0];
 
-    // Track minimum Y (highest point, since Y increases downward)
-    if (puckY < minY) {
-        minY = puckY;
+    // Store the start-of-step state, so events inside the step can be located exactly
+    const start = { x: puck.x, y: puck.y, vx: puck.vx, vy: puck.vy };
+    const accel = getAcceleration(puck.vx, puck.vy);
+    const stepStartTime = simulationTime;
+
+    // Track simulation time as a whole number of steps, so it never accumulates rounding error
+    // (this is the time at the end of the step, when any collision in it is recorded)
+    stepCount++;
+    simulationTime = stepCount * timeStep;
+
+    updatePhysics(timeStep);
+
+    const smooth = isStepSmooth(start, accel, puck);
+
+    // Max height is reached where Vy changes from negative to positive
+    if (!reachedMaxHeight && start.vy < 0 && puck.vy >= 0) {
+        const tau = findEventTime(start, accel, smooth, state => state.vy);
+        const apex = smooth ? getStepState(start, accel, tau) : puck;
+        reachedMaxHeight = true;
+        timeToMaxHeight = stepStartTime + tau;
+        apexX = apex.x;
+        apexY = apex.y;
+    }
+
+    // Add spark dot at exact multiples of the spark interval
+    if (stepCount % sparkSteps === 0) {
+        pucks.forEach((p, index) => addSparkDot(index, stepCount / sparkSteps));
     }
 
     // Check if puck has moved away from start position
-    if (!hasMovedFromStart && Math.abs(puckY - launchY) > 1) {
+    if (!hasMovedFromStart && Math.abs(puck.y - launchY) > 1) {
         hasMovedFromStart = true;
     }
 
+    // In a multi-bounce or multi-puck run the first return to the launch line is measured
+    // but the pucks keep going until the run time is up
+    if (isTimedRun()) {
+        if (!hasLanded && hasMovedFromStart && puck.y >= launchY) {
+            const crossing = getLaunchLineCrossing(start, accel, puck, smooth, launchY);
+            hasLanded = true;
+            finalX = crossing.x;
+            maxHeight = launchY - apexY;
+            flightTime = stepStartTime + crossing.tau;
+            trajectoryComplete = true;
+        }
+
+        if (simulationTime >= runDuration - 1e-9) {
+            isAnimating = false;
+            return;
+        }
+    }
+
     // Check if puck has returned to initial Y position (after moving away)
-    if (hasMovedFromStart && puckY >= launchY) {
-        // Snap to exact launch Y and stop
-        puckY = launchY;
-        puckVx = 0;
-        puckVy = 0;
+    if (!isTimedRun() && hasMovedFromStart && puck.y >= launchY) {
+        // Find where the puck crossed the launch line within the step
+        const crossing = getLaunchLineCrossing(start, accel, puck, smooth, launchY);
 
         // Store final values
-        finalX = puckX;
-        maxHeight = launchY - minY; // Height is difference (positive value)
-        flightTime = simulationTime; // Store total flight time
+        finalX = crossing.x;
+        maxHeight = launchY - apexY; // Height is difference (positive value)
+        flightTime = stepStartTime + crossing.tau; // Store total flight time
+
+        // Put the puck exactly at the landing point and stop
+        puck.x = finalX;
+        puck.y = launchY;
+        puck.vx = 0;
+        puck.vy = 0;
+        simulationTime = flightTime;
 
         // Add final spark dot
-        sparkDots.push({ x: puckX, y: puckY });
+        addSparkDot(0, null);
 
         trajectoryComplete = true;
-        draw();
         isAnimating = false;
         return;
     }
 
     // Also stop if puck hits bottom boundary
-    if (puckY >= tableHeight - puckRadiusCm - 1) {
+    if (!isTimedRun() && puck.y >= tableHeight - puck.radius - 1) {
         isAnimating = false;
         return;
     }
 
-    animationId = requestAnimationFrame(animate);
+    // Or if friction has brought every puck to rest and the slope cannot restart them
+    if (pucks.every(p => p.vx === 0 && p.vy === 0)) {
+        const { ax, ay } = getAcceleration(0, 0);
+        if (ax === 0 && ay === 0) {
+            isAnimating = false;
+        }
+    }
 }
 
-// Start animation
-function startAnimation() {
-    if (isAnimating) return;
+// Runs with bounces or several pucks keep going for the run time instead of stopping at the landing
+function isTimedRun() {
+    return multiBounce || pucks.length > 1;
+}
 
-    isAnimating = true;
-    lastTime = 0;
-    lastSparkTime = 0;
-    launchX = puckX; // Record initial X position
-    launchY = puckY; // Record initial Y position
-    minY = puckY; // Initialize minY to track highest point
-    hasMovedFromStart = false;
-    trajectoryComplete = false;
-    simulationTime = 0;
-    timeToMaxHeight = 0;
-    flightTime = 0;
-    reachedMaxHeight = false;
+// Animation loop
+function animate(timestamp) {
+    if (!isAnimating) return;
 
-    // Add initial spark dot
-    sparkDots.push({ x: puckX, y: puckY });
+    if (lastTime === 0) {
+        lastTime = timestamp;
+    }
 
-    animationId = requestAnimationFrame(animate);
-}
+    const frameElapsed = (timestamp - lastTime) / 1000; // Convert to seconds
+    lastTime = timestamp;
 
-// Stop animation
-function stopAnimation() {
-    isAnimating = false;
-    if (animationId) {
-        cancelAnimationFrame(animationId);
-        animationId = null;
+    // Run as many fixed steps as real time allows, carrying the remainder to the next frame
+    stepAccumulator += Math.min(frameElapsed, maxFrameTime);
+    while (isAnimating && stepAccumulator >= timeStep) {
+        stepSimulation();
+        stepAccumulator -= timeStep;
     }
-}
 
-// Reset puck to initial position
-function resetPuck() {
-    stopAnimation();
-    puckX = initialPuckX;
-    puckY = initialPuckY;
-    puckVx = 0;
-    puckVy = 0;
-    sparkDots = [];
-    trajectoryComplete = false;
-    speedDisplay.textContent = '0';
-    directionDisplay.textContent = '0';
+    // Draw
     draw();
-}
 
-// Clear only the dots
-function clearDots() {
-    sparkDots = [];
-    trajectoryComplete = false;
-    draw();
-}
+    if (!isAnimating) {
+        onLaunchFinished();
+        return;
+    }
 
-// Mouse event handlers
-function getMousePos(e) {
-    const rect = canvas.getBoundingClientRect();
-    return {
-        x: e.clientX - rect.left,
-        y: e.clientY - rect.top
-    };
+    animationId = requestAnimationFrame(animate);
 }
 
-canvas.addEventListener('mousedown', (e) => {
+// Launch the puck from (x, y) cm with a speed (cm/s) and an angle above the horizontal (degrees)
+// The y axis points downhill, so an upward launch has negative vy
+function launch(settings) {
     if (isAnimating) return;
 
-    const mouse = getMousePos(e);
+    // Every target puck starts again from its own launch settings
+    if (!placeTargetPucks(settings)) return;
 
-    if (isInsidePuck(mouse.x, mouse.y)) {
-        // Start dragging to launch
-        isDragging = true;
-        dragStartX = mouse.x;
-        dragStartY = mouse.y;
-        currentMouseX = mouse.x;
-        currentMouseY = mouse.y;
-        canvas.style.cursor = 'grabbing';
-    } else {
-        // Click elsewhere to reposition puck
-        const physPos = canvasToPhysics(mouse.x, mouse.y);
+    // Keep the preview of this launch to compare with the run
+    launchPrediction = predictTrajectory(settings);
 
-        // Keep puck within bounds
-        const margin = puckRadiusCm;
-        puckX = Math.max(margin, Math.min(tableWidth - margin, physPos.x));
-        puckY = Math.max(margin, Math.min(tableHeight - margin, physPos.y));
+    const puck = pucks[0];
+    setPuckLaunch(puck, settings);
 
-        // Update initial position for reset
-        initialPuckX = puckX;
-        initialPuckY = puckY;
+    // Store initial velocity components
+    initialVx = puck.vx;
+    initialVy = puck.vy;
+    launchAngle = settings.angle;
 
-        // Clear dots when repositioning
-        sparkDots = [];
-        trajectoryComplete = false;
+    speedDisplay.textContent = settings.speed.toFixed(1);
+    directionDisplay.textContent = settings.angle.toFixed(1);
 
-        draw();
+    lastLaunch = { ...settings };
+    repeatBtn.disabled = false;
+
+    startAnimation();
+}
+
+// Put a puck at a launch position with its launch velocity: { speed, angle, x, y }
+// The y axis points downhill, so an upward launch has negative vy
+function setPuckLaunch(puck, settings) {
+    const angleRad = settings.angle * Math.PI / 180;
+    puck.x = settings.x;
+    puck.y = settings.y;
+    puck.initialX = settings.x;
+    puck.initialY = settings.y;
+    puck.vx = settings.speed * Math.cos(angleRad);
+    puck.vy = -settings.speed * Math.sin(angleRad);
+}
+
+// Read the launcher panel, or alert and return null if a value is out of range
+function getLauncherSettings() {
+    const settings = {
+        speed: parseFloat(launchSpeedInput.value),
+        angle: parseFloat(launchAngleInput.value),
+        x: parseFloat(startXInput.value),
+        y: parseFloat(startYInput.value)
+    };
+
+    if (!Object.values(settings).every(Number.isFinite)) {
+        alert('Enter a number for the speed, angle and start position.');
+        return null;
+    }
+    if (settings.speed <= 0) {
+        alert('The launch speed must be positive.');
+        return null;
     }
-});
 
-canvas.addEventListener('mousemove', (e) => {
-    const mouse = getMousePos(e);
+    const margin = pucks[0].radius;
+    if (settings.x < margin || settings.x > tableWidth - margin || settings.y < margin || settings.y > tableHeight - margin) {
+        alert(`The start position must lie on the table: x from ${margin} to ${tableWidth - margin} cm, y from ${margin} to ${tableHeight - margin} cm.`);
+        return null;
+    }
 
-    if (isDragging) {
-        currentMouseX = mouse.x;
-        currentMouseY = mouse.y;
-        draw();
+    return settings;
+}
+
+// Show a launch in the launcher panel
+function setLauncherInputs(settings) {
+    launchSpeedInput.value = settings.speed.toFixed(1);
+    launchAngleInput.value = settings.angle.toFixed(1);
+    startXInput.value = settings.x.toFixed(1);
+    startYInput.value = settings.y.toFixed(1);
+}
+
+// Fire the launch set in the launcher panel
+function fireLauncher() {
+    if (isAnimating) return;
+
+    const settings = getLauncherSettings();
+    if (!settings) return;
+
+    batchQueue = null;
+    launch(settings);
+}
+
+// Fire the previous launch again, whichever way it was made
+function repeatLastLaunch() {
+    if (isAnimating || !lastLaunch) return;
+
+    batchQueue = null;
+    launch(lastLaunch);
+}
+
+// Fire the same launch once at each listed slope angle, in order
+function startBatch() {
+    if (isAnimating) return;
+
+    const settings = getLauncherSettings();
+    if (!settings) return;
+
+    const slopes = batchSlopesInput.value.split(',').map(v => parseFloat(v.trim()));
+    if (slopes.length === 0 || !slopes.every(a => Number.isFinite(a) && a >= minSlope && a <= maxSlope)) {
+        alert(`Enter the slope angles as a comma-separated list, each from ${minSlope}° to ${maxSlope}°.`);
+        return;
+    }
+
+    batchRows = [];
+    updateBatchTable();
+    batchQueue = slopes;
+    fireNextInBatch(settings);
+}
+
+// Set the next slope of the batch and fire
+function fireNextInBatch(settings) {
+    const slope = batchQueue.shift();
+    setSlope(slope);
+    updateBatchStatus();
+    launch(settings);
+}
+
+// Show which launch of a running batch is in flight, and at what slope unless analysis mode hides it
+function updateBatchStatus() {
+    if (!batchQueue) return;
+
+    const launchText = `Batch: launch ${batchRows.length + 1}`;
+    batchStatus.textContent = !analysisMode || answersRevealed ? `${launchText} at ${slopeAngle}°` : launchText;
+}
+
+// Called when a launch ends: record it if it belongs to a batch, then fire the next one
+function onLaunchFinished() {
+    updateDotTable();
+    updateFlightResults();
+    updatePreviewDiscrepancy();
+
+    if (!batchQueue) return;
+
+    const slopeRad = slopeAngle * Math.PI / 180;
+    const gEff = g * Math.sin(slopeRad);
+    const angleRad = launchAngle * Math.PI / 180;
+    const speed = Math.sqrt(initialVx * initialVx + initialVy * initialVy);
+
+    batchRows.push({
+        slope: slopeAngle,
+        gEff,
+        range: trajectoryComplete ? Math.abs(finalX - launchX) : null,
+        predictedRange: speed * speed * Math.sin(2 * angleRad) / gEff
+    });
+    updateBatchTable();
+
+    if (batchQueue.length === 0) {
+        batchQueue = null;
+        batchStatus.textContent = `Batch complete: ${batchRows.length} launches`;
+        return;
+    }
+
+    fireNextInBatch(lastLaunch);
+}
+
+// Compare the measured apex, range and flight time with the ideal-table formulas for the launch
+// Like the canvas labels, the table stays hidden in analysis mode until the answers are revealed
+function updateFlightResults() {
+    const visible = trajectoryComplete && (!analysisMode || answersRevealed);
+    flightResults.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
+
+    const entry = launchLog[launchLog.length - 1];
+    const gEff = g * Math.sin(entry.slope * Math.PI / 180);
+    const v0x = initialVx;
+    const v0y = -initialVy; // up the slope
+
+    const rows = [
+        { label: 't<sub>apex</sub> (s)', measured: timeToMaxHeight, analytic: v0y / gEff, digits: 4 },
+        { label: 'x<sub>apex</sub> − x₀ (cm)', measured: apexX - launchX, analytic: v0x * v0y / gEff, digits: 2 },
+        { label: 'H (cm)', measured: maxHeight, analytic: v0y * v0y / (2 * gEff), digits: 2 },
+        { label: 'T (s)', measured: flightTime, analytic: 2 * v0y / gEff, digits: 4 },
+        { label: 'R (cm)', measured: finalX - launchX, analytic: 2 * v0x * v0y / gEff, digits: 2 }
+    ];
+
+    flightTableBody.innerHTML = '';
+    rows.forEach(r => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${r.label}</td>
+            <td>${r.measured.toFixed(r.digits)}</td>
+            <td>${r.analytic.toFixed(r.digits)}</td>
+            <td>${(r.measured - r.analytic).toExponential(1)}</td>
+        `;
+        flightTableBody.appendChild(row);
+    });
+
+    // The formulas ignore friction, drag, tilt and anything the puck hit before landing
+    const ideal = entry.friction === 0 && entry.drag === 0 && entry.crossTilt === 0 &&
+        !collisions.some(c => c.launch === entry.launch && c.puck === 0 && c.t < flightTime) &&
+        !puckCollisions.some(c => c.launch === entry.launch && c.t < flightTime);
+    flightNote.textContent = ideal ? '' : 'The formulas assume an ideal table and an uninterrupted flight, so they do not apply exactly to this launch.';
+}
+
+// Refresh the batch results table
+// Its slope, g_eff and predicted range give the answers away, so analysis mode hides it until they are revealed
+function updateBatchTable() {
+    batchTableBody.innerHTML = '';
+    const visible = batchRows.length > 0 && (!analysisMode || answersRevealed);
+    batchResults.style.display = visible ? 'block' : 'none';
+    if (!visible) return;
+
+    batchRows.forEach(rowData => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${rowData.slope}</td>
+            <td>${rowData.gEff.toFixed(1)}</td>
+            <td>${rowData.range !== null ? rowData.range.toFixed(1) : '-'}</td>
+            <td>${rowData.predictedRange.toFixed(1)}</td>
+        `;
+        batchTableBody.appendChild(row);
+    });
+}
+
+// Mark the paper at a puck's position, tagged with the timer tick and simulated time
+function addSparkDot(puckIndex, tick) {
+    const puck = pucks[puckIndex];
+    sparkDots.push({ x: puck.x, y: puck.y, tick, t: simulationTime, launch: launchCount, puck: puckIndex });
+
+    // The step-by-step working follows the launched puck as its dots come in
+    if (puckIndex === 0) updateDifferencePanel();
+}
+
+// Start animation
+function startAnimation() {
+    if (isAnimating) return;
+
+    isAnimating = true;
+    lastTime = 0;
+    stepAccumulator = 0;
+    stepCount = 0;
+    sparkSteps = Math.round(sparkInterval / 1000 / timeStep);
+    launchX = pucks[0].x; // Record initial X position
+    launchY = pucks[0].y; // Record initial Y position
+    apexX = pucks[0].x; // Until an apex is found, the highest point is the start
+    apexY = pucks[0].y;
+    hasMovedFromStart = false;
+    trajectoryComplete = false;
+    simulationTime = 0;
+    timeToMaxHeight = 0;
+    flightTime = 0;
+    reachedMaxHeight = false;
+    hasLanded = false;
+
+    // Stepping restarts with the new dots
+    differenceStep = null;
+
+    // Number this launch and add its initial spark dot
+    launchCount++;
+    launchLog.push({
+        launch: launchCount,
+        slope: slopeAngle,
+        sparkInterval,
+        friction: frictionCoefficient,
+        drag: dragCoefficient,
+        crossTilt,
+        restitution,
+        railFriction,
+        puckRestitution,
+        masses: pucks.map(p => p.mass),
+        radii: pucks.map(p => p.radius)
+    });
+    pucks.forEach((p, index) => addSparkDot(index, 0));
+
+    animationId = requestAnimationFrame(animate);
+}
+
+// Stop animation
+function stopAnimation() {
+    isAnimating = false;
+    if (animationId) {
+        cancelAnimationFrame(animationId);
+        animationId = null;
+    }
+}
+
+// Reset puck to initial position
+function resetPuck() {
+    stopAnimation();
+    batchQueue = null;
+    batchStatus.textContent = '';
+    pucks.forEach(puck => {
+        puck.x = puck.initialX;
+        puck.y = puck.initialY;
+        puck.vx = 0;
+        puck.vy = 0;
+    });
+    sparkDots = [];
+    launchLog = [];
+    collisions = [];
+    puckCollisions = [];
+    trajectoryComplete = false;
+    selectedDots = [];
+    updateSelectedDotsTable();
+    updateDotTable();
+    updateCollisionTable();
+    updatePuckCollisionTable();
+    updateFlightResults();
+    launchPrediction = null;
+    updatePreviewDiscrepancy();
+    speedDisplay.textContent = '0';
+    directionDisplay.textContent = '0';
+    draw();
+}
+
+// Clear only the dots
+function clearDots() {
+    sparkDots = [];
+    launchLog = [];
+    collisions = [];
+    puckCollisions = [];
+    trajectoryComplete = false;
+    selectedDots = [];
+    updateSelectedDotsTable();
+    updateDotTable();
+    updateCollisionTable();
+    updatePuckCollisionTable();
+    updateFlightResults();
+    launchPrediction = null;
+    updatePreviewDiscrepancy();
+    draw();
+}
+
+// Find the tool part under the mouse, if any: ruler ends or body, protractor arm or center
+function getToolAt(mouseX, mouseY) {
+    const near = (pos, tolerance) => Math.hypot(mouseX - pos.x, mouseY - pos.y) <= tolerance;
+
+    const armEnd = getProtractorArmEnd();
+    if (near(armEnd, 10)) return 'protractorArm';
+    if (near(physicsToCanvas(protractor.x, protractor.y), 12)) return 'protractor';
+
+    const start = physicsToCanvas(ruler.x1, ruler.y1);
+    const end = physicsToCanvas(ruler.x2, ruler.y2);
+    if (near(start, 10)) return 'rulerStart';
+    if (near(end, 10)) return 'rulerEnd';
+
+    // Distance from the ruler's center line
+    const lengthSq = (end.x - start.x) ** 2 + (end.y - start.y) ** 2;
+    const t = Math.max(0, Math.min(1, ((mouseX - start.x) * (end.x - start.x) + (mouseY - start.y) * (end.y - start.y)) / lengthSq));
+    if (near({ x: start.x + t * (end.x - start.x), y: start.y + t * (end.y - start.y) }, 12)) return 'ruler';
+
+    return null;
+}
+
+// Move the dragged tool part to the mouse
+function dragTool(mouseX, mouseY) {
+    const pos = canvasToPhysics(mouseX, mouseY);
+
+    switch (toolDrag.target) {
+        case 'rulerStart':
+            ruler.x1 = pos.x;
+            ruler.y1 = pos.y;
+            break;
+        case 'rulerEnd':
+            ruler.x2 = pos.x;
+            ruler.y2 = pos.y;
+            break;
+        case 'ruler': {
+            const dx = pos.x - toolDrag.offsetX - ruler.x1;
+            const dy = pos.y - toolDrag.offsetY - ruler.y1;
+            ruler.x1 += dx;
+            ruler.y1 += dy;
+            ruler.x2 += dx;
+            ruler.y2 += dy;
+            break;
+        }
+        case 'protractor':
+            protractor.x = pos.x;
+            protractor.y = pos.y;
+            break;
+        case 'protractorArm':
+            protractor.armAngle = Math.atan2(protractor.y - pos.y, pos.x - protractor.x) * 180 / Math.PI;
+            break;
+    }
+}
+
+// Index of the spark dot under the mouse, or -1
+function getDotAt(mouseX, mouseY) {
+    let best = -1;
+    let bestDistance = 6; // px
+    sparkDots.forEach((dot, index) => {
+        const pos = physicsToCanvas(dot.x, dot.y);
+        const distance = Math.hypot(mouseX - pos.x, mouseY - pos.y);
+        if (distance <= bestDistance) {
+            best = index;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+// Add a dot to the selection, or remove it if already selected
+function toggleDotSelection(index) {
+    const position = selectedDots.indexOf(index);
+    if (position >= 0) {
+        selectedDots.splice(position, 1);
+    } else {
+        selectedDots.push(index);
+    }
+    updateSelectedDotsTable();
+}
+
+// List the selected dots in cm, measured from the first dot of the sheet with y up the slope
+function updateSelectedDotsTable() {
+    selectedDotsBody.innerHTML = '';
+    const origin = sparkDots[0];
+
+    selectedDots.forEach((index, order) => {
+        const dot = sparkDots[index];
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${order + 1}</td>
+            <td>${index}</td>
+            <td>${(dot.x - origin.x).toFixed(2)}</td>
+            <td>${(origin.y - dot.y).toFixed(2)}</td>
+        `;
+        selectedDotsBody.appendChild(row);
+    });
+}
+
+// Forget the selection (the dots it pointed at are gone)
+function clearSelection() {
+    selectedDots = [];
+    updateSelectedDotsTable();
+    draw();
+}
+
+// Switch analysis mode: hide the answers and show the measuring tools
+function setAnalysisMode(enabled) {
+    analysisMode = enabled;
+    answersRevealed = false;
+    analysisPanel.style.display = enabled ? 'block' : 'none';
+    updateAnswerVisibility();
+    revealResults.style.display = 'none';
+    if (enabled) analysisResults.style.display = 'none';
+    updateFlightResults();
+    updateDotTable();
+    updateBatchTable();
+    updateBatchStatus();
+    draw();
+}
+
+// Hide everything that gives a launch away until the answers are revealed:
+// the velocity readout, the launcher's speed and angle (filled in after a drag) and the slope, which gives g_eff
+function updateAnswerVisibility() {
+    const visibility = analysisMode && !answersRevealed ? 'hidden' : 'visible';
+
+    velocityDisplay.style.display = visibility === 'hidden' ? 'none' : 'block';
+    gEffDisplay.parentElement.style.visibility = visibility;
+    slopeDisplay.parentElement.style.visibility = visibility;
+    slopeAngleSlider.parentElement.style.visibility = visibility;
+    [launchSpeedInput, launchAngleInput].forEach(input => {
+        input.style.visibility = visibility;
+        input.labels[0].style.visibility = visibility;
+    });
+}
+
+// Compare the student's numbers with the simulated launch
+function revealAnswers() {
+    if (sparkDots.length < 2) {
+        alert('Launch the puck first, then measure its dots.');
+        return;
+    }
+
+    const slopeRad = slopeAngle * Math.PI / 180;
+    const rows = [
+        { label: 'v₀ₓ (cm/s)', student: parseFloat(studentVxInput.value), actual: initialVx },
+        { label: 'v₀ᵧ (cm/s)', student: parseFloat(studentVyInput.value), actual: -initialVy },
+        { label: 'g_eff (cm/s²)', student: parseFloat(studentGEffInput.value), actual: g * Math.sin(slopeRad) }
+    ];
+
+    revealTableBody.innerHTML = '';
+    rows.forEach(r => {
+        const hasValue = Number.isFinite(r.student);
+        const difference = hasValue && r.actual !== 0 ? ((r.student - r.actual) / Math.abs(r.actual) * 100).toFixed(1) + '%' : '-';
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${r.label}</td>
+            <td>${hasValue ? r.student.toFixed(1) : '-'}</td>
+            <td>${r.actual.toFixed(1)}</td>
+            <td>${difference}</td>
+        `;
+        revealTableBody.appendChild(row);
+    });
+
+    answersRevealed = true;
+    updateAnswerVisibility();
+    revealResults.style.display = 'block';
+    updateFlightResults();
+    updateDotTable();
+    updateBatchTable();
+    updateBatchStatus();
+    draw();
+}
+
+// Mouse event handlers
+function getMousePos(e) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: e.clientX - rect.left,
+        y: e.clientY - rect.top
+    };
+}
+
+canvas.addEventListener('mousedown', (e) => {
+    if (isAnimating) return;
+
+    const mouse = getMousePos(e);
+
+    // In analysis mode the tools and dots come first, and the sheet is never cleared by a stray click
+    if (analysisMode) {
+        const target = getToolAt(mouse.x, mouse.y);
+        if (target) {
+            const pos = canvasToPhysics(mouse.x, mouse.y);
+            toolDrag = { target, offsetX: pos.x - ruler.x1, offsetY: pos.y - ruler.y1 };
+            canvas.style.cursor = 'move';
+            return;
+        }
+
+        const dotIndex = getDotAt(mouse.x, mouse.y);
+        if (dotIndex >= 0) {
+            toggleDotSelection(dotIndex);
+            draw();
+            return;
+        }
+
+        if (!isInsidePuck(mouse.x, mouse.y)) return;
+    }
+
+    if (isInsidePuck(mouse.x, mouse.y)) {
+        // Start dragging to launch, with a fresh preview in case a setting changed since the last drag
+        isDragging = true;
+        dragPrediction = null;
+        dragStartX = mouse.x;
+        dragStartY = mouse.y;
+        currentMouseX = mouse.x;
+        currentMouseY = mouse.y;
+        canvas.style.cursor = 'grabbing';
+    } else {
+        // Click elsewhere to reposition puck
+        const physPos = canvasToPhysics(mouse.x, mouse.y);
+
+        // Keep puck within bounds
+        const puck = pucks[0];
+        const margin = puck.radius;
+        puck.x = Math.max(margin, Math.min(tableWidth - margin, physPos.x));
+        puck.y = Math.max(margin, Math.min(tableHeight - margin, physPos.y));
+
+        // Update initial position for reset
+        puck.initialX = puck.x;
+        puck.initialY = puck.y;
+        startXInput.value = puck.x.toFixed(1);
+        startYInput.value = puck.y.toFixed(1);
+
+        // Clear dots when repositioning
+        sparkDots = [];
+        launchLog = [];
+        collisions = [];
+        puckCollisions = [];
+        trajectoryComplete = false;
+        selectedDots = [];
+        updateSelectedDotsTable();
+        updateDotTable();
+        updateCollisionTable();
+        updatePuckCollisionTable();
+        updateFlightResults();
+        launchPrediction = null;
+        updatePreviewDiscrepancy();
+
+        draw();
+    }
+});
+
+canvas.addEventListener('mousemove', (e) => {
+    const mouse = getMousePos(e);
+
+    if (toolDrag) {
+        dragTool(mouse.x, mouse.y);
+        draw();
+    } else if (isDragging) {
+        currentMouseX = mouse.x;
+        currentMouseY = mouse.y;
+        draw();
     } else if (!isAnimating) {
-        // Change cursor when hovering over puck
-        if (isInsidePuck(mouse.x, mouse.y)) {
+        // Change cursor when hovering over puck or a measuring tool
+        if (analysisMode && getToolAt(mouse.x, mouse.y)) {
+            canvas.style.cursor = 'move';
+        } else if (analysisMode && getDotAt(mouse.x, mouse.y) >= 0) {
+            canvas.style.cursor = 'pointer';
+        } else if (isInsidePuck(mouse.x, mouse.y)) {
             canvas.style.cursor = 'grab';
         } else {
             canvas.style.cursor = 'crosshair';
@@ -796,6 +1901,12 @@ canvas.addEventListener('mousemove', (e) => {
 });
 
 canvas.addEventListener('mouseup', (e) => {
+    if (toolDrag) {
+        toolDrag = null;
+        canvas.style.cursor = 'crosshair';
+        return;
+    }
+
     if (!isDragging) return;
 
     isDragging = false;
@@ -807,26 +1918,26 @@ canvas.addEventListener('mouseup', (e) => {
     const distance = Math.sqrt(dx * dx + dy * dy);
 
     if (distance > 5) {
-        // Convert to velocity (cm/s)
+        // Convert to speed (cm/s) and angle above horizontal (negative dy because y increases downward)
         const velocityScale = 3; // cm/s per pixel of drag
-        puckVx = (dx / distance) * distance * velocityScale;
-        puckVy = (dy / distance) * distance * velocityScale;
-
-        // Store initial velocity components
-        initialVx = puckVx;
-        initialVy = puckVy;
-
-        // Store launch angle (angle above horizontal, negative because y increases downward)
-        launchAngle = Math.atan2(-puckVy, puckVx) * 180 / Math.PI;
-
-        // Start animation
-        startAnimation();
+        const settings = {
+            speed: distance * velocityScale,
+            angle: Math.atan2(-dy, dx) * 180 / Math.PI,
+            x: pucks[0].x,
+            y: pucks[0].y
+        };
+
+        // Show the dragged launch in the panel so it can be repeated or batched
+        setLauncherInputs(settings);
+        batchQueue = null;
+        launch(settings);
     }
 
     draw();
 });
 
 canvas.addEventListener('mouseleave', () => {
+    toolDrag = null;
     if (isDragging) {
         isDragging = false;
         canvas.style.cursor = 'crosshair';
@@ -861,6 +1972,778 @@ canvas.addEventListener('touchend', (e) => {
     canvas.dispatchEvent(mouseEvent);
 });
 
+// Draw an arrow between two canvas points
+function drawArrow(context, fromX, fromY, toX, toY, color) {
+    const length = Math.hypot(toX - fromX, toY - fromY);
+    if (length < 1) return;
+
+    const headLength = Math.min(8, length / 2);
+    const angle = Math.atan2(toY - fromY, toX - fromX);
+
+    context.strokeStyle = color;
+    context.fillStyle = color;
+    context.lineWidth = 2;
+    context.beginPath();
+    context.moveTo(fromX, fromY);
+    context.lineTo(toX, toY);
+    context.stroke();
+
+    context.beginPath();
+    context.moveTo(toX, toY);
+    context.lineTo(
+        toX - headLength * Math.cos(angle - Math.PI / 6),
+        toY - headLength * Math.sin(angle - Math.PI / 6)
+    );
+    context.lineTo(
+        toX - headLength * Math.cos(angle + Math.PI / 6),
+        toY - headLength * Math.sin(angle + Math.PI / 6)
+    );
+    context.closePath();
+    context.fill();
+}
+
+// Finite differences of one puck's timer dots from the latest launch, in sheet coordinates (y up the slope)
+// Velocities sit at the midpoint of each pair of dots, accelerations at each interior dot
+function getFiniteDifferences(puckIndex) {
+    if (launchLog.length === 0) return { velocities: [], accelerations: [] };
+
+    const launch = launchLog[launchLog.length - 1].launch;
+    const dots = sparkDots.filter(dot => dot.launch === launch && dot.puck === puckIndex && dot.tick !== null);
+
+    const velocities = [];
+    for (let i = 0; i + 1 < dots.length; i++) {
+        const a = dots[i];
+        const b = dots[i + 1];
+        const dt = b.t - a.t;
+        const dx = b.x - a.x;
+        const dy = getSheetY(b) - getSheetY(a);
+        velocities.push({
+            from: a, to: b, dt, dx, dy,
+            t: (a.t + b.t) / 2,
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2,
+            vx: dx / dt,
+            vy: dy / dt
+        });
+    }
+
+    const accelerations = [];
+    for (let i = 0; i + 1 < velocities.length; i++) {
+        const before = velocities[i];
+        const after = velocities[i + 1];
+        const dt = after.t - before.t;
+        accelerations.push({
+            dot: after.from, dt,
+            dvx: after.vx - before.vx,
+            dvy: after.vy - before.vy,
+            ax: (after.vx - before.vx) / dt,
+            ay: (after.vy - before.vy) / dt
+        });
+    }
+
+    return { velocities, accelerations };
+}
+
+// Number of velocity intervals currently on show
+function getShownIntervals(velocities) {
+    return differenceStep === null ? velocities.length : Math.min(differenceStep, velocities.length);
+}
+
+// Draw velocity vectors at the midpoints and acceleration vectors at the interior dots, for every puck
+// Like the fit, they give the answers away, so analysis mode hides them until the answers are revealed
+function drawDifferenceVectors() {
+    if (!differenceMode) return;
+    if (analysisMode && !answersRevealed) return;
+
+    for (let index = pucks.length - 1; index > 0; index--) {
+        const { velocities, accelerations } = getFiniteDifferences(index);
+        drawDifferenceArrows(velocities, accelerations, getShownIntervals(velocities));
+    }
+
+    const { velocities, accelerations } = getFiniteDifferences(0);
+    const shown = getShownIntervals(velocities);
+    drawDifferenceArrows(velocities, accelerations, shown);
+
+    // Ring the dots used by the newest step
+    if (differenceStep !== null && shown > 0) {
+        const v = velocities[shown - 1];
+        ctx.strokeStyle = '#1d7fd1';
+        ctx.lineWidth = 2;
+        [v.from, v.to].forEach(dot => {
+            const pos = physicsToCanvas(dot.x, dot.y);
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, 6, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+    }
+}
+
+// Draw the first shown velocity vectors and the accelerations between them
+function drawDifferenceArrows(velocities, accelerations, shown) {
+    // Sheet y points up the slope, canvas y points down it
+    for (let i = 0; i < shown; i++) {
+        const v = velocities[i];
+        const pos = physicsToCanvas(v.x, v.y);
+        drawArrow(ctx, pos.x, pos.y,
+            pos.x + v.vx * velocityVectorScale,
+            pos.y - v.vy * velocityVectorScale,
+            '#1d7fd1');
+    }
+
+    // An acceleration needs the velocities on both sides of its dot
+    for (let i = 0; i + 1 < shown; i++) {
+        const a = accelerations[i];
+        const pos = physicsToCanvas(a.dot.x, a.dot.y);
+        drawArrow(ctx, pos.x, pos.y,
+            pos.x + a.ax * accelerationVectorScale,
+            pos.y - a.ay * accelerationVectorScale,
+            '#e07a00');
+    }
+}
+
+// Show the arithmetic behind the newest step of the launched puck, and the vₓ(t), vᵧ(t) plot
+// Called when the dots, the step or the analysis mode change, not on every frame
+function updateDifferencePanel() {
+    if (!differenceMode) return;
+
+    if (analysisMode && !answersRevealed) {
+        differenceStatus.textContent = 'Hidden in analysis mode until the answers are revealed.';
+        differenceDetail.innerHTML = '';
+        velocityPlotCtx.clearRect(0, 0, velocityPlotCanvas.width, velocityPlotCanvas.height);
+        return;
+    }
+
+    const { velocities, accelerations } = getFiniteDifferences(0);
+    const shown = getShownIntervals(velocities);
+    if (velocities.length === 0) {
+        differenceStatus.textContent = 'Launch the puck to get dots.';
+        differenceDetail.innerHTML = '';
+        velocityPlotCtx.clearRect(0, 0, velocityPlotCanvas.width, velocityPlotCanvas.height);
+        return;
+    }
+
+    differenceStatus.textContent = `Interval ${shown} of ${velocities.length}`;
+
+    const v = velocities[shown - 1];
+    let detail = `<p>Dots ${v.from.tick} → ${v.to.tick}: Δx = ${v.dx.toFixed(2)} cm, Δy = ${v.dy.toFixed(2)} cm, Δt = ${v.dt.toFixed(3)} s</p>` +
+        `<p>v<sub>x</sub> = Δx/Δt = <span>${v.vx.toFixed(1)}</span> cm/s, v<sub>y</sub> = Δy/Δt = <span>${v.vy.toFixed(1)}</span> cm/s at t = ${v.t.toFixed(3)} s</p>`;
+    if (shown >= 2) {
+        const a = accelerations[shown - 2];
+        detail += `<p>At dot ${a.dot.tick}: Δv<sub>x</sub> = ${a.dvx.toFixed(1)} cm/s, Δv<sub>y</sub> = ${a.dvy.toFixed(1)} cm/s over ${a.dt.toFixed(3)} s</p>` +
+            `<p>a<sub>x</sub> = <span>${a.ax.toFixed(1)}</span> cm/s², a<sub>y</sub> = <span>${a.ay.toFixed(1)}</span> cm/s²</p>`;
+    }
+    differenceDetail.innerHTML = detail;
+
+    drawVelocityPlot(velocities.slice(0, shown));
+}
+
+// Plot vₓ(t) and vᵧ(t) at the interval midpoints
+function drawVelocityPlot(velocities) {
+    const tData = velocities.map(v => v.t);
+    const vxData = velocities.map(v => v.vx);
+    const vyData = velocities.map(v => v.vy);
+    const values = [...vxData, ...vyData, 0];
+    const tMax = Math.max(...tData, 0.1) * 1.05;
+    const yMin = Math.floor(Math.min(...values) / 20) * 20;
+    const yMax = Math.ceil(Math.max(...values) / 20) * 20 || 20;
+
+    const { toCanvasX, toCanvasY } = drawPlotAxes(velocityPlotCtx, {
+        xMin: 0, xMax: tMax, yMin, yMax,
+        xLabel: 't (s)',
+        yLabel: 'v (cm/s)',
+        xDecimals: 2,
+        yDecimals: 0,
+        padding: 40
+    });
+
+    drawPlotPoints(velocityPlotCtx, tData, vxData, toCanvasX, toCanvasY, '#2196F3');
+    drawPlotPoints(velocityPlotCtx, tData, vyData, toCanvasX, toCanvasY, '#4CAF50');
+
+    drawPlotLegend(velocityPlotCtx, [
+        { label: 'vₓ', color: '#2196F3', type: 'point' },
+        { label: 'vᵧ', color: '#4CAF50', type: 'point' }
+    ]);
+}
+
+// Step through the intervals one at a time (null shows them all)
+function setDifferenceStep(step) {
+    const { velocities } = getFiniteDifferences(0);
+    if (step !== null) {
+        step = Math.max(1, Math.min(step, velocities.length));
+    }
+    differenceStep = step;
+    updateDifferencePanel();
+    draw();
+}
+
+function setDifferenceMode(enabled) {
+    differenceMode = enabled;
+    differencePanel.style.display = enabled ? 'block' : 'none';
+    updateDifferencePanel();
+    draw();
+}
+
+// Sheet coordinates: origin at the bottom-left corner of the paper, y measured up the slope
+function getSheetY(dot) {
+    return tableHeight - dot.y;
+}
+
+// Refresh the spark dot table and the list of launches available to fit
+// In analysis mode the launch list leaves the slope out until the answers are revealed
+function updateDotTable() {
+    dotTableBody.innerHTML = '';
+
+    sparkDots.forEach(dot => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${dot.launch}</td>
+            <td>${dot.puck + 1}</td>
+            <td>${dot.tick !== null ? dot.tick : 'landing'}</td>
+            <td>${dot.t.toFixed(3)}</td>
+            <td>${dot.x.toFixed(2)}</td>
+            <td>${getSheetY(dot).toFixed(2)}</td>
+        `;
+        dotTableBody.appendChild(row);
+    });
+
+    // Offer every launch on the sheet, newest selected
+    fitLaunchSelect.innerHTML = '';
+    launchLog.forEach(entry => {
+        const option = document.createElement('option');
+        option.value = entry.launch;
+        option.textContent = !analysisMode || answersRevealed ? `Launch ${entry.launch} (${entry.slope}°)` : `Launch ${entry.launch}`;
+        fitLaunchSelect.appendChild(option);
+    });
+    if (launchLog.length > 0) {
+        fitLaunchSelect.value = launchLog[launchLog.length - 1].launch;
+    }
+
+    // Offer every puck, keeping the current choice when it is still there
+    const fitPuck = fitPuckSelect.value;
+    fitPuckSelect.innerHTML = '';
+    pucks.forEach((puck, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = `Puck ${index + 1}`;
+        fitPuckSelect.appendChild(option);
+    });
+    fitPuckSelect.value = parseInt(fitPuck) < pucks.length ? fitPuck : 0;
+
+    updateDifferencePanel();
+}
+
+// List every wall impact with its impulse and kinetic energy loss
+function updateCollisionTable() {
+    collisionTableBody.innerHTML = '';
+
+    collisions.forEach(c => {
+        const speedBefore = Math.hypot(c.vBefore.vx, c.vBefore.vy);
+        const speedAfter = Math.hypot(c.vAfter.vx, c.vAfter.vy);
+        const loss = c.keBefore > 0 ? (c.keBefore - c.keAfter) / c.keBefore * 100 : 0;
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${c.launch}</td>
+            <td>${c.puck + 1}</td>
+            <td>${c.t.toFixed(3)}</td>
+            <td>${c.wall}</td>
+            <td>${speedBefore.toFixed(1)} → ${speedAfter.toFixed(1)}</td>
+            <td>${c.impulse.toFixed(2)}</td>
+            <td>${c.keBefore.toFixed(2)} → ${c.keAfter.toFixed(2)}</td>
+            <td>${loss.toFixed(1)}%</td>
+        `;
+        collisionTableBody.appendChild(row);
+    });
+}
+
+// Format a momentum in sheet orientation (y up the slope)
+function formatMomentum(p) {
+    return `(${p.px.toFixed(1)}, ${(-p.py).toFixed(1)})`;
+}
+
+// List every puck-puck impact with the momentum and kinetic energy before and after
+function updatePuckCollisionTable() {
+    puckCollisionTableBody.innerHTML = '';
+
+    puckCollisions.forEach(c => {
+        const momenta = phase => c[phase].map((v, k) => getMomentum(c.masses[k], v.vx, v.vy));
+        const total = list => list.reduce((sum, p) => ({ px: sum.px + p.px, py: sum.py + p.py }), { px: 0, py: 0 });
+        const energy = phase => c[phase].reduce((sum, v, k) => sum + getKineticEnergy(c.masses[k], v.vx, v.vy), 0);
+
+        const pBefore = momenta('before');
+        const pAfter = momenta('after');
+        const keBefore = energy('before');
+        const keAfter = energy('after');
+        const loss = keBefore > 0 ? Math.max(0, (keBefore - keAfter) / keBefore * 100) : 0; // no -0.0% from rounding
+
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${c.launch}</td>
+            <td>${c.t.toFixed(3)}</td>
+            <td>${formatMomentum(pBefore[0])}<br>${formatMomentum(pBefore[1])}</td>
+            <td>${formatMomentum(pAfter[0])}<br>${formatMomentum(pAfter[1])}</td>
+            <td>${formatMomentum(total(pBefore))}</td>
+            <td>${formatMomentum(total(pAfter))}</td>
+            <td>${keBefore.toFixed(2)} → ${keAfter.toFixed(2)}</td>
+            <td>${loss.toFixed(1)}%</td>
+        `;
+        puckCollisionTableBody.appendChild(row);
+    });
+}
+
+// Download a file built in the browser
+function downloadFile(content, type, filename) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// Launch settings for an export; in analysis mode, until the answers are revealed,
+// only what is needed to read the dots, since the slope and the table settings give g_eff away
+function getExportedLaunch(entry) {
+    if (!analysisMode || answersRevealed) return entry;
+
+    const { launch, sparkInterval, masses, radii } = entry;
+    return { launch, sparkInterval, masses, radii };
+}
+
+// Export dot data as CSV
+function exportCsv() {
+    if (sparkDots.length === 0) {
+        alert('No data to export!');
+        return;
+    }
+
+    let csv = 'launch,slope (deg),spark interval (ms),friction mu,drag (1/s),cross tilt (deg),puck,mass (kg),tick,t (s),x (cm),y (cm)\n';
+    sparkDots.forEach(dot => {
+        const entry = getExportedLaunch(launchLog.find(l => l.launch === dot.launch));
+        const tick = dot.tick !== null ? dot.tick : '';
+        const settings = [entry.slope, entry.sparkInterval, entry.friction, entry.drag, entry.crossTilt].map(v => v !== undefined ? v : '');
+        csv += `${dot.launch},${settings.join(',')},${dot.puck + 1},${entry.masses[dot.puck]},${tick},${dot.t.toFixed(3)},${dot.x.toFixed(3)},${getSheetY(dot).toFixed(3)}\n`;
+    });
+
+    downloadFile(csv, 'text/csv', 'projectile_spark_dots.csv');
+}
+
+// Export dot data as JSON, with the launch settings alongside
+function exportJson() {
+    if (sparkDots.length === 0) {
+        alert('No data to export!');
+        return;
+    }
+
+    const data = {
+        units: { x: 'cm', y: 'cm (up the slope from the bottom edge)', t: 's', mass: 'kg', velocity: 'cm/s (y down the slope)', impulse: 'mN·s', energy: 'mJ' },
+        launches: launchLog.map(getExportedLaunch),
+        dots: sparkDots.map(dot => ({
+            launch: dot.launch,
+            puck: dot.puck + 1,
+            tick: dot.tick,
+            t: Number(dot.t.toFixed(3)),
+            x: Number(dot.x.toFixed(3)),
+            y: Number(getSheetY(dot).toFixed(3))
+        })),
+        collisions: collisions.map(c => ({
+            launch: c.launch,
+            puck: c.puck + 1,
+            t: Number(c.t.toFixed(3)),
+            wall: c.wall,
+            impulse: Number(c.impulse.toFixed(3)),
+            keBefore: Number(c.keBefore.toFixed(3)),
+            keAfter: Number(c.keAfter.toFixed(3))
+        })),
+        puckCollisions: puckCollisions.map(c => ({
+            launch: c.launch,
+            t: Number(c.t.toFixed(3)),
+            pucks: c.pair.map(k => k + 1),
+            masses: c.masses,
+            before: c.before,
+            after: c.after
+        }))
+    };
+
+    downloadFile(JSON.stringify(data, null, 2), 'application/json', 'projectile_spark_dots.json');
+}
+
+// Solve the linear system A·x = b by Gaussian elimination with partial pivoting
+// Returns null if the matrix is singular
+function solveLinearSystem(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+        }
+        if (Math.abs(M[pivot][col]) < 1e-300) return null;
+        [M[col], M[pivot]] = [M[pivot], M[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = M[row][col] / M[col][col];
+            for (let k = col; k <= n; k++) {
+                M[row][k] -= factor * M[col][k];
+            }
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = M[row][n];
+        for (let k = row + 1; k < n; k++) {
+            sum -= M[row][k] * x[k];
+        }
+        x[row] = sum / M[row][row];
+    }
+    return x;
+}
+
+// Least-squares polynomial y = c₀ + c₁t + … + c_d·t^d, every point with the same uncertainty sigma
+// Standard errors come from (XᵀX)⁻¹σ², scaled up when the scatter exceeds sigma
+function polynomialFit(tData, yData, degree, sigma) {
+    const n = tData.length;
+    const m = degree + 1;
+    if (n <= m) return null;
+
+    // Normal equations XᵀX·c = Xᵀy
+    const XtX = [];
+    const Xty = [];
+    for (let a = 0; a < m; a++) {
+        XtX.push([]);
+        for (let b = 0; b < m; b++) {
+            XtX[a].push(tData.reduce((sum, t) => sum + Math.pow(t, a + b), 0));
+        }
+        Xty.push(tData.reduce((sum, t, i) => sum + Math.pow(t, a) * yData[i], 0));
+    }
+
+    const coefficients = solveLinearSystem(XtX, Xty);
+    if (!coefficients) return null;
+
+    const evaluate = (t) => coefficients.reduce((sum, c, k) => sum + c * Math.pow(t, k), 0);
+    const chi2 = tData.reduce((sum, t, i) => sum + ((yData[i] - evaluate(t)) / sigma) ** 2, 0);
+    const reducedChi2 = chi2 / (n - m);
+    const errorScale = Math.max(1, Math.sqrt(reducedChi2));
+
+    const errors = coefficients.map((c, j) => {
+        const unit = new Array(m).fill(0);
+        unit[j] = 1;
+        const column = solveLinearSystem(XtX, unit);
+        return column ? sigma * Math.sqrt(Math.max(0, column[j])) * errorScale : NaN;
+    });
+
+    return { coefficients, errors, reducedChi2, evaluate };
+}
+
+// Fit the timer dots of one puck in one launch: x(t) linear, y(t) quadratic
+// The fit prints v₀ and g_eff, so analysis mode keeps it locked until the answers are revealed
+function analyzeDots() {
+    if (analysisMode && !answersRevealed) {
+        alert('The fit gives the answers away. Measure the dots yourself and reveal the answers first.');
+        return;
+    }
+
+    const launch = parseInt(fitLaunchSelect.value);
+    const puckIndex = parseInt(fitPuckSelect.value);
+    const dots = sparkDots.filter(dot => dot.launch === launch && dot.puck === puckIndex && dot.tick !== null);
+    const sigma = parseFloat(positionUncertaintyInput.value);
+
+    if (dots.length < 4) {
+        alert('Need at least 4 timer dots from one launch to fit x(t) and y(t)!');
+        return;
+    }
+    if (!(sigma > 0)) {
+        alert('Enter a positive position uncertainty.');
+        return;
+    }
+
+    const tData = dots.map(dot => dot.t);
+    const xData = dots.map(dot => dot.x);
+    const yData = dots.map(getSheetY);
+
+    const xFit = polynomialFit(tData, xData, 1, sigma);
+    const yFit = polynomialFit(tData, yData, 2, sigma);
+    const xCurveFit = polynomialFit(tData, xData, 2, sigma);
+    if (!xFit || !yFit || !xCurveFit) {
+        alert('The fit failed. Record a longer trajectory.');
+        return;
+    }
+
+    // y = y₀ + v₀ᵧt − ½g_eff·t²
+    const v0x = xFit.coefficients[1];
+    const v0y = yFit.coefficients[1];
+    const gEff = -2 * yFit.coefficients[2];
+    const gEffError = 2 * yFit.errors[2];
+
+    // g_eff = g·sin(α), so α = asin(g_eff/g) and δα = δg_eff/(g·cos α)
+    const entry = launchLog.find(l => l.launch === launch);
+    const ratio = gEff / g;
+    const slopeFit = Math.asin(Math.max(-1, Math.min(1, ratio))) * 180 / Math.PI;
+    const slopeError = gEffError / (g * Math.cos(slopeFit * Math.PI / 180)) * 180 / Math.PI;
+    const deviation = slopeError > 0 ? Math.abs(slopeFit - entry.slope) / slopeError : NaN;
+
+    document.getElementById('fitV0x').textContent = `${v0x.toFixed(2)} ± ${xFit.errors[1].toFixed(2)}`;
+    document.getElementById('fitV0y').textContent = `${v0y.toFixed(2)} ± ${yFit.errors[1].toFixed(2)}`;
+    document.getElementById('fitGEff').textContent = `${gEff.toFixed(2)} ± ${gEffError.toFixed(2)}`;
+    document.getElementById('fitChi2X').textContent = xFit.reducedChi2.toFixed(2);
+    document.getElementById('fitChi2Y').textContent = yFit.reducedChi2.toFixed(2);
+    document.getElementById('fitSlope').textContent = `${slopeFit.toFixed(2)} ± ${slopeError.toFixed(2)}`;
+    document.getElementById('fitSlopeSet').textContent = entry.slope;
+    document.getElementById('fitSlopeDeviation').textContent = Number.isFinite(deviation) ? deviation.toFixed(1) : '-';
+
+    // Compare with an ideal table at the same slope, so the effect of the imperfections shows up as a bias
+    const idealGEff = g * Math.sin(entry.slope * Math.PI / 180);
+    const bias = gEff - idealGEff;
+    const imperfections = [];
+    if (entry.friction > 0) imperfections.push(`μ = ${entry.friction}`);
+    if (entry.drag > 0) imperfections.push(`drag = ${entry.drag} s⁻¹`);
+    if (entry.crossTilt !== 0) imperfections.push(`tilt = ${entry.crossTilt}°`);
+    document.getElementById('fitImperfections').textContent = imperfections.length > 0 ? imperfections.join(', ') : 'none (ideal table)';
+    document.getElementById('fitIdealGEff').textContent = idealGEff.toFixed(2);
+    document.getElementById('fitBias').textContent = `${bias >= 0 ? '+' : ''}${bias.toFixed(2)} (${(bias / idealGEff * 100).toFixed(1)}%, ${gEffError > 0 ? (Math.abs(bias) / gEffError).toFixed(1) : '-'} σ)`;
+    document.getElementById('fitAx').textContent = `${(2 * xCurveFit.coefficients[2]).toFixed(2)} ± ${(2 * xCurveFit.errors[2]).toFixed(2)}`;
+
+    drawFitPlot(tData, xData, yData, xFit, yFit);
+    analysisResults.style.display = 'flex';
+}
+
+// Draw grid, axes, labels and tick values on a plot canvas
+// Returns the data-to-canvas coordinate transforms for the given ranges
+function drawPlotAxes(context, options) {
+    const width = context.canvas.width;
+    const height = context.canvas.height;
+    const padding = options.padding || 50;
+    const { xMin, xMax, yMin, yMax, xLabel, yLabel } = options;
+    const xDecimals = options.xDecimals !== undefined ? options.xDecimals : 1;
+    const yDecimals = options.yDecimals !== undefined ? options.yDecimals : 0;
+
+    context.clearRect(0, 0, width, height);
+
+    // Helper functions for coordinate transformation
+    const toCanvasX = (x) => padding + (x - xMin) / (xMax - xMin) * (width - 2 * padding);
+    const toCanvasY = (y) => height - padding - (y - yMin) / (yMax - yMin) * (height - 2 * padding);
+
+    // Draw grid
+    context.strokeStyle = '#2a2a4a';
+    context.lineWidth = 1;
+    for (let i = 0; i <= 5; i++) {
+        const x = padding + i * (width - 2 * padding) / 5;
+        context.beginPath();
+        context.moveTo(x, padding);
+        context.lineTo(x, height - padding);
+        context.stroke();
+
+        const y = padding + i * (height - 2 * padding) / 5;
+        context.beginPath();
+        context.moveTo(padding, y);
+        context.lineTo(width - padding, y);
+        context.stroke();
+    }
+
+    // Draw axes
+    context.strokeStyle = '#666';
+    context.lineWidth = 2;
+    context.beginPath();
+    context.moveTo(padding, padding);
+    context.lineTo(padding, height - padding);
+    context.lineTo(width - padding, height - padding);
+    context.stroke();
+
+    // Draw axis labels
+    context.fillStyle = '#b8b8d1';
+    context.font = '12px Arial';
+    context.textAlign = 'center';
+    context.textBaseline = 'alphabetic';
+    context.fillText(xLabel, width / 2, height - 10);
+
+    context.save();
+    context.translate(15, height / 2);
+    context.rotate(-Math.PI / 2);
+    context.fillText(yLabel, 0, 0);
+    context.restore();
+
+    // Draw axis tick labels
+    context.font = '10px Arial';
+    for (let i = 0; i <= 5; i++) {
+        const xVal = xMin + i * (xMax - xMin) / 5;
+        context.fillText(xVal.toFixed(xDecimals), toCanvasX(xVal), height - padding + 15);
+
+        const yVal = yMin + i * (yMax - yMin) / 5;
+        context.textAlign = 'right';
+        context.fillText(yVal.toFixed(yDecimals), padding - 5, toCanvasY(yVal) + 4);
+        context.textAlign = 'center';
+    }
+
+    return { toCanvasX, toCanvasY };
+}
+
+// Draw data points as bordered circles
+function drawPlotPoints(context, xData, yData, toCanvasX, toCanvasY, color) {
+    context.fillStyle = color;
+    for (let i = 0; i < xData.length; i++) {
+        context.beginPath();
+        context.arc(toCanvasX(xData[i]), toCanvasY(yData[i]), 4, 0, Math.PI * 2);
+        context.fill();
+        context.strokeStyle = '#fff';
+        context.lineWidth = 1;
+        context.stroke();
+    }
+}
+
+// Draw a legend in the top-right corner
+// Each item is { label, color, type } where type is 'point' or 'line'
+function drawPlotLegend(context, items) {
+    const width = context.canvas.width;
+
+    context.font = '11px Arial';
+    context.textAlign = 'left';
+
+    items.forEach((item, i) => {
+        const y = 25 + i * 20;
+        if (item.type === 'point') {
+            context.fillStyle = item.color;
+            context.beginPath();
+            context.arc(width - 100, y, 5, 0, Math.PI * 2);
+            context.fill();
+        } else {
+            context.strokeStyle = item.color;
+            context.lineWidth = 2;
+            context.setLineDash(item.dashed ? [6, 4] : []);
+            context.beginPath();
+            context.moveTo(width - 105, y);
+            context.lineTo(width - 85, y);
+            context.stroke();
+            context.setLineDash([]);
+        }
+        context.fillStyle = '#b8b8d1';
+        context.fillText(item.label, width - 80, y + 3);
+    });
+}
+
+// Draw a fitted curve across the plot
+function drawFitCurve(context, evaluate, tMin, tMax, toCanvasX, toCanvasY, color) {
+    context.strokeStyle = color;
+    context.lineWidth = 2;
+    context.beginPath();
+    for (let i = 0; i <= 100; i++) {
+        const t = tMin + i * (tMax - tMin) / 100;
+        if (i === 0) {
+            context.moveTo(toCanvasX(t), toCanvasY(evaluate(t)));
+        } else {
+            context.lineTo(toCanvasX(t), toCanvasY(evaluate(t)));
+        }
+    }
+    context.stroke();
+}
+
+// Plot x(t) and y(t) with their fits
+function drawFitPlot(tData, xData, yData, xFit, yFit) {
+    const tMax = Math.max(...tData) * 1.05;
+    const values = [...xData, ...yData];
+    const yMin = Math.floor(Math.min(...values) / 10) * 10;
+    const yMax = Math.ceil(Math.max(...values) / 10) * 10;
+
+    const { toCanvasX, toCanvasY } = drawPlotAxes(plotCtx, {
+        xMin: 0, xMax: tMax, yMin, yMax,
+        xLabel: 't (s)',
+        yLabel: 'Position (cm)',
+        xDecimals: 2,
+        yDecimals: 0
+    });
+
+    drawFitCurve(plotCtx, xFit.evaluate, 0, tMax, toCanvasX, toCanvasY, '#2196F3');
+    drawFitCurve(plotCtx, yFit.evaluate, 0, tMax, toCanvasX, toCanvasY, '#4CAF50');
+    drawPlotPoints(plotCtx, tData, xData, toCanvasX, toCanvasY, '#2196F3');
+    drawPlotPoints(plotCtx, tData, yData, toCanvasX, toCanvasY, '#4CAF50');
+
+    drawPlotLegend(plotCtx, [
+        { label: 'x (linear fit)', color: '#2196F3', type: 'point' },
+        { label: 'y (quadratic fit)', color: '#4CAF50', type: 'point' }
+    ]);
+}
+
+// Read the puck panel into the puck list, or alert and return false if a value is out of range
+// The launched puck keeps its place; a target puck is placed at its start position
+function applyPuckSettings() {
+    const count = secondPuckToggle.checked ? 2 : 1;
+    const masses = puckMassInputs.slice(0, count).map(input => parseFloat(input.value) / 1000);
+    const radii = puckRadiusInputs.slice(0, count).map(input => parseFloat(input.value));
+
+    if (!masses.every(m => m > 0) || !radii.every(r => r >= 1 && r <= 10)) {
+        alert('Each puck needs a positive mass and a radius from 1 to 10 cm.');
+        return false;
+    }
+
+    const launched = pucks[0];
+    launched.mass = masses[0];
+    launched.radius = radii[0];
+    launched.x = Math.max(launched.radius, Math.min(tableWidth - launched.radius, launched.x));
+    launched.y = Math.max(launched.radius, Math.min(tableHeight - launched.radius, launched.y));
+
+    pucks = [launched];
+    for (let k = 1; k < count; k++) {
+        pucks.push(createPuck(parseFloat(targetXInput.value), parseFloat(targetYInput.value), masses[k], radii[k]));
+    }
+
+    updateDotTable();
+    draw();
+    return true;
+}
+
+// Put the puck list back into the panel, e.g. after a change was refused mid-run
+function showPuckSettings() {
+    secondPuckToggle.checked = pucks.length > 1;
+    pucks.forEach((puck, index) => {
+        puckMassInputs[index].value = Number((puck.mass * 1000).toFixed(3));
+        puckRadiusInputs[index].value = puck.radius;
+    });
+    if (pucks.length > 1) {
+        targetXInput.value = pucks[1].initialX;
+        targetYInput.value = pucks[1].initialY;
+    }
+}
+
+// Read the second puck's start from the panel, checked against a launch of the first puck from settings
+// Returns { target: { speed, angle, x, y } } or { error } if it is off the table or overlaps the launched puck
+function getTargetStart(settings) {
+    const target = {
+        speed: parseFloat(targetSpeedInput.value),
+        angle: parseFloat(targetAngleInput.value),
+        x: parseFloat(targetXInput.value),
+        y: parseFloat(targetYInput.value)
+    };
+    if (!Object.values(target).every(Number.isFinite) || target.speed < 0) {
+        return { error: 'Enter a number for the second puck\'s position, speed (0 or more) and angle.' };
+    }
+
+    const margin = pucks[1].radius;
+    if (target.x < margin || target.x > tableWidth - margin || target.y < margin || target.y > tableHeight - margin) {
+        return { error: `The second puck must lie on the table: x from ${margin} to ${tableWidth - margin} cm, y from ${margin} to ${tableHeight - margin} cm.` };
+    }
+    if (Math.hypot(target.x - settings.x, target.y - settings.y) < pucks[1].radius + pucks[0].radius) {
+        return { error: 'The two pucks overlap at their start positions.' };
+    }
+
+    return { target };
+}
+
+// Put each target puck at its start position with its start velocity, ready for a launch from settings
+// Alerts and returns false if a target cannot be placed
+function placeTargetPucks(settings) {
+    if (pucks.length < 2) return true;
+
+    const result = getTargetStart(settings);
+    if (result.error) {
+        alert(result.error);
+        return false;
+    }
+
+    setPuckLaunch(pucks[1], result.target);
+    return true;
+}
+
 // Update effective gravity display
 function updateEffectiveGravity() {
     const slopeRad = slopeAngle * Math.PI / 180;
@@ -868,12 +2751,18 @@ function updateEffectiveGravity() {
     gEffDisplay.textContent = gEff.toFixed(1);
 }
 
-// Control event listeners
-slopeAngleSlider.addEventListener('input', () => {
-    slopeAngle = parseFloat(slopeAngleSlider.value);
+// Set the table slope and update its displays
+function setSlope(angle) {
+    slopeAngle = angle;
+    slopeAngleSlider.value = angle;
     slopeValueSpan.textContent = slopeAngle + '°';
     slopeDisplay.textContent = slopeAngle;
     updateEffectiveGravity();
+}
+
+// Control event listeners
+slopeAngleSlider.addEventListener('input', () => {
+    setSlope(parseFloat(slopeAngleSlider.value));
 });
 
 sparkIntervalSlider.addEventListener('input', () => {
@@ -881,8 +2770,90 @@ sparkIntervalSlider.addEventListener('input', () => {
     sparkValueSpan.textContent = sparkInterval + ' ms';
 });
 
+frictionSlider.addEventListener('input', () => {
+    frictionCoefficient = parseFloat(frictionSlider.value);
+    frictionValueSpan.textContent = frictionCoefficient.toFixed(3);
+});
+
+dragSlider.addEventListener('input', () => {
+    dragCoefficient = parseFloat(dragSlider.value);
+    dragValueSpan.textContent = dragCoefficient.toFixed(2);
+});
+
+crossTiltSlider.addEventListener('input', () => {
+    crossTilt = parseFloat(crossTiltSlider.value);
+    crossTiltValueSpan.textContent = crossTilt.toFixed(1) + '°';
+});
+
+restitutionSlider.addEventListener('input', () => {
+    restitution = parseFloat(restitutionSlider.value);
+    restitutionValueSpan.textContent = restitution.toFixed(2);
+});
+
+railFrictionSlider.addEventListener('input', () => {
+    railFriction = parseFloat(railFrictionSlider.value);
+    railFrictionValueSpan.textContent = railFriction.toFixed(2);
+});
+
+puckRestitutionSlider.addEventListener('input', () => {
+    puckRestitution = parseFloat(puckRestitutionSlider.value);
+    puckRestitutionValueSpan.textContent = puckRestitution.toFixed(2);
+});
+
+// Changing the pucks mid-run would break the traces, so the panel only applies between launches
+[secondPuckToggle, ...puckMassInputs, ...puckRadiusInputs, targetXInput, targetYInput].forEach(input => {
+    input.addEventListener('change', () => {
+        if (isAnimating) {
+            alert('Wait for the run to finish before changing the pucks.');
+            showPuckSettings();
+            return;
+        }
+        applyPuckSettings();
+    });
+});
+
+overlayPreviewToggle.addEventListener('change', () => {
+    overlayPreview = overlayPreviewToggle.checked;
+    updatePreviewDiscrepancy();
+    draw();
+});
+
+multiBounceToggle.addEventListener('change', () => {
+    multiBounce = multiBounceToggle.checked;
+});
+
+runDurationInput.addEventListener('change', () => {
+    const value = parseFloat(runDurationInput.value);
+    if (!(value > 0 && value <= 60)) {
+        alert('Run time must be between 0 and 60 s.');
+        runDurationInput.value = runDuration;
+        return;
+    }
+    runDuration = value;
+});
+
 resetBtn.addEventListener('click', resetPuck);
 clearDotsBtn.addEventListener('click', clearDots);
+fireBtn.addEventListener('click', fireLauncher);
+repeatBtn.addEventListener('click', repeatLastLaunch);
+batchBtn.addEventListener('click', startBatch);
+analysisModeToggle.addEventListener('change', () => setAnalysisMode(analysisModeToggle.checked));
+clearSelectionBtn.addEventListener('click', clearSelection);
+revealBtn.addEventListener('click', revealAnswers);
+exportCsvBtn.addEventListener('click', exportCsv);
+exportJsonBtn.addEventListener('click', exportJson);
+analyzeBtn.addEventListener('click', analyzeDots);
+differenceModeToggle.addEventListener('change', () => setDifferenceMode(differenceModeToggle.checked));
+differencePrevBtn.addEventListener('click', () => {
+    const { velocities } = getFiniteDifferences(0);
+    setDifferenceStep(getShownIntervals(velocities) - 1);
+});
+differenceNextBtn.addEventListener('click', () => {
+    const { velocities } = getFiniteDifferences(0);
+    const shown = getShownIntervals(velocities);
+    setDifferenceStep(differenceStep === null ? 1 : shown + 1);
+});
+differenceAllBtn.addEventListener('click', () => setDifferenceStep(null));
 
 // Initial setup
 updateEffectiveGravity();